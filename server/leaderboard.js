@@ -0,0 +1,227 @@
+// Leaderboard server - one shared high score table for everyone pointing
+// their game at it, kept in a JSON file. No dependencies beyond Node.
+//
+//   npm run leaderboard
+//
+//   GET  /scores             -> { entries }  every score, best first
+//   POST /scores             <- a score record (see src/highScores.js) plus
+//                               its signature (see src/scoreSignature.js)
+//                            -> { entries }  the table with the score added
+//   GET  /scores/:id/replay  -> { replay }   one score's replay
+// Listed entries leave their replays out, so a busy table stays small.
+//
+// Settings come from the environment:
+//   PORT                (8787)
+//   LEADERBOARD_FILE    where scores are kept (server/data/scores.json)
+//   LEADERBOARD_SECRET  must match the game's VITE_LEADERBOARD_SECRET
+//   ALLOWED_ORIGIN      for CORS (*)
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LEADERBOARD_MODES, addHighScore, toListedRecord } from '../src/highScores.js';
+import { DEV_LEADERBOARD_SECRET, verifyScore } from '../src/scoreSignature.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const SCORES_FILE = process.env.LEADERBOARD_FILE ?? join(dirname(fileURLToPath(import.meta.url)), 'data', 'scores.json');
+const SECRET = process.env.LEADERBOARD_SECRET ?? DEV_LEADERBOARD_SECRET;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN ?? '*';
+
+const MAX_BODY_BYTES = 512 * 1024; // Replays make up most of a submission
+const MAX_NAME_LENGTH = 3;
+const RATE_LIMIT = 5; // Submissions per address...
+const RATE_WINDOW = 60 * 1000; // ...per this many ms
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isOptional = (value, check) => value === null || check(value);
+
+// Returns a description of the first problem found, or null
+const findRecordError = (record) => {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) return 'not a score';
+  if (typeof record.name !== 'string' || record.name.length < 1 || record.name.length > MAX_NAME_LENGTH) return 'bad player name';
+  if (!isCount(record.score)) return 'bad score';
+  if (typeof record.date !== 'string' || Number.isNaN(Date.parse(record.date))) return 'bad date';
+  if (!LEADERBOARD_MODES.includes(record.mode)) return 'unknown game mode';
+  if (!['won', 'lost'].includes(record.outcome)) return 'bad outcome';
+  if (!isCount(record.level) || record.level < 1) return 'bad level';
+  if (!isCount(record.lives)) return 'bad lives';
+  if (!Array.isArray(record.specials) || !record.specials.every(type => typeof type === 'string')) return 'bad specials';
+  if (!isCount(record.catchersEaten)) return 'bad catcher count';
+  if (typeof record.time !== 'number' || !(record.time >= 0)) return 'bad time';
+  if (typeof record.seed !== 'string' || record.seed === '') return 'missing seed';
+  if (!isOptional(record.replay, replay => typeof replay === 'object' && !Array.isArray(replay))) return 'bad replay';
+  return null;
+};
+
+// Only what the game sends is kept, so nothing else rides along into the file
+const toStoredRecord = (record, signature) => ({
+  id: randomUUID(),
+  name: record.name,
+  score: record.score,
+  date: record.date,
+  mode: record.mode,
+  outcome: record.outcome,
+  level: record.level,
+  lives: record.lives,
+  specials: record.specials,
+  catchersEaten: record.catchersEaten,
+  time: record.time,
+  seed: record.seed,
+  replay: record.replay,
+  signature,
+});
+
+// Signatures stay on the server
+const toPublicRecord = (record) => toListedRecord(Object.fromEntries(Object.entries(record).filter(([key]) => key !== 'signature')));
+
+const loadScores = async () => {
+  try {
+    const saved = JSON.parse(await readFile(SCORES_FILE, 'utf8'));
+    return Array.isArray(saved.entries) ? saved.entries : [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`Could not read ${SCORES_FILE}, starting empty:`, e.message);
+    return [];
+  }
+};
+
+let scores = await loadScores();
+let writing = Promise.resolve();
+
+// Write to a temporary file and rename it over the old one, so a crash
+// mid-write can't leave half a file behind. Writes go one at a time.
+const storeScores = (entries) => {
+  writing = writing.then(async () => {
+    await mkdir(dirname(SCORES_FILE), { recursive: true });
+    const temporary = `${SCORES_FILE}.tmp`;
+    await writeFile(temporary, JSON.stringify({ version: 1, entries }, null, 2));
+    await rename(temporary, SCORES_FILE);
+  }).catch(e => console.error(`Could not save ${SCORES_FILE}:`, e));
+  return writing;
+};
+
+// Scores kept from before they had ids get one, saved so it stays the same
+if (scores.some(entry => !entry.id)) {
+  scores = scores.map(entry => ({ id: randomUUID(), ...entry }));
+  storeScores(scores);
+}
+
+// Submission times per address within the last RATE_WINDOW
+const recentSubmissions = new Map();
+
+// ms until the address may submit again, or 0 if it may now. Counts the
+// attempt if it's let through.
+const checkRateLimit = (address, now = Date.now()) => {
+  const recent = (recentSubmissions.get(address) ?? []).filter(time => now - time < RATE_WINDOW);
+  if (recent.length >= RATE_LIMIT) {
+    recentSubmissions.set(address, recent);
+    return recent[0] + RATE_WINDOW - now;
+  }
+  recentSubmissions.set(address, [...recent, now]);
+  return 0;
+};
+
+// Forget addresses that have gone quiet, so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  recentSubmissions.forEach((times, address) => {
+    if (times.every(time => now - time >= RATE_WINDOW)) recentSubmissions.delete(address);
+  });
+}, RATE_WINDOW).unref();
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      // Let the rest drain unread, so the client still gets the reply
+      request.removeAllListeners('data');
+      request.resume();
+      reject(Object.assign(new Error('Score is too large'), { status: 413 }));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+const send = (response, status, body, headers = {}) => {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    ...headers,
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const sendScores = (response, status = 200) => send(response, status, { entries: scores.map(toPublicRecord) });
+
+const sendReplay = (response, id) => {
+  const replay = scores.find(entry => entry.id === id)?.replay;
+  if (replay) send(response, 200, { replay });
+  else send(response, 404, { error: 'No replay for that score' });
+};
+
+const submitScore = async (request, response) => {
+  const wait = checkRateLimit(request.socket.remoteAddress);
+  if (wait > 0) {
+    send(response, 429, { error: 'Too many scores - try again in a minute' }, { 'Retry-After': String(Math.ceil(wait / 1000)) });
+    return;
+  }
+
+  let record;
+  try {
+    record = JSON.parse(await readBody(request));
+  } catch (e) {
+    send(response, e.status ?? 400, { error: e.status ? e.message : 'Not a score' });
+    return;
+  }
+
+  const recordError = findRecordError(record);
+  if (recordError) {
+    send(response, 400, { error: `Broken score: ${recordError}` });
+    return;
+  }
+  if (!(await verifyScore(record, record.signature, SECRET))) {
+    send(response, 403, { error: 'Score signature does not match' });
+    return;
+  }
+
+  // A queued score can be sent again after a reply got lost - it's already in
+  if (!scores.some(entry => entry.signature === record.signature)) {
+    scores = addHighScore(scores, toStoredRecord(record, record.signature));
+    await storeScores(scores);
+  }
+  sendScores(response, 201);
+};
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  const replayPath = pathname.match(/^\/scores\/([^/]+)\/replay$/);
+  try {
+    if (request.method === 'OPTIONS') {
+      send(response, 204);
+    } else if (pathname === '/scores' && request.method === 'GET') {
+      sendScores(response);
+    } else if (pathname === '/scores' && request.method === 'POST') {
+      await submitScore(request, response);
+    } else if (replayPath && request.method === 'GET') {
+      sendReplay(response, replayPath[1]);
+    } else {
+      send(response, 404, { error: 'Not found' });
+    }
+  } catch (e) {
+    console.error(e);
+    if (!response.headersSent) send(response, 500, { error: 'Leaderboard server error' });
+  }
+});
+
+if (SECRET === DEV_LEADERBOARD_SECRET) {
+  console.warn('LEADERBOARD_SECRET is not set - using the development secret');
+}
+server.listen(PORT, () => console.log(`Leaderboard server on http://localhost:${PORT}, keeping scores in ${SCORES_FILE}`));
@@ -1,115 +1,108 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import * as engine from './game/engine.js';
+import {
+  MAX_LEVEL, FRIGHTENED_WARNING, getLevelSettings, getCurrentLevelSettings, getMazeSize, isInSafeZone,
+} from './game/engine.js';
+import {
+  TICK_MS, REPLAY_SPEEDS, createRecording, recordInput, finishRecording, formatTicks,
+  isReplayCompatible, startReplay, advanceReplay, seekReplay, isReplayFinished,
+} from './game/replay.js';
+import { createReplayFile, serializeReplayFile, getReplayFileName, parseReplayFile } from './game/replayFile.js';
+import { encodeShareCode, decodeShareCode } from './game/shareCode.js';
+import {
+  getDailyDate, getDailySeed, getDailySeedDate, loadDailyScores, saveDailyScore, isDailyHighScore,
+  hasPlayedDaily, markDailyPlayed,
+} from './daily.js';
+import {
+  CATCHER_ROLES, SPECIAL_TYPES, LEVEL_GOALS, MAX_CATCHERS, MIN_MAZE_SIZE, MAX_MAZE_SIZE, parseLevel,
+} from './game/levels.js';
+import {
+  loadCustomLevels, saveCustomLevel, deleteCustomLevel, createCustomLevelId, createBlankLevel, resizeLevel,
+} from './customLevels.js';
+import {
+  ACTIONS, DEFAULT_BINDINGS, loadBindings, saveBindings, loadInputBuffering, saveInputBuffering,
+  getKeyAction, getKeyDirection, findConflicts, formatKey,
+} from './controls.js';
+import { subscribeGamepad } from './gamepad.js';
+import { loadSavedRun, saveRun, clearSavedRun } from './savedRun.js';
+import { createTimerService } from './timers.js';
+import {
+  START_SCREEN_SCORES, LEADERBOARD_SORTS, getRunStats, createScoreRecord, getModeScores, isHighScore, sortLeaderboard,
+} from './highScores.js';
+import { leaderboard, canWatchReplay } from './leaderboard.js';
+import {
+  loadAudioSettings, saveAudioSettings, setAudioSettings, unlockAudio, playSound, startMusic, stopMusic,
+} from './audio.js';
+import {
+  MIN_HAPTICS_INTENSITY, loadHapticsSettings, saveHapticsSettings, isHapticsSupported, vibrate,
+} from './haptics.js';
 
 const DEFAULT_CELL_SIZE = 24;
-const MAZE_WIDTH = 21;
-const MAZE_HEIGHT = 17;
+const MAX_FRAME_TIME = 100; // ms - longest slice of time the engine is advanced per frame
+const SPECIAL_EMOJI = { drumstick: '🍗', pizza: '🍕', cookie: '🍪', tennis: '🎾', cheese: '🧀' };
+const WIN_COLORS = ['#FFD700', '#FF6B6B', '#4ECDC4', '#FF69B4', '#00FF00', '#FF4500', '#9B59B6', '#3498DB'];
 
-// Calculate optimal cell size based on screen dimensions
-const calculateCellSize = () => {
-  if (typeof window === 'undefined') return DEFAULT_CELL_SIZE;
+const readViewport = () => (typeof window === 'undefined'
+  ? null
+  : { width: window.innerWidth, height: window.innerHeight });
+
+// Calculate optimal cell size for a maze of the given size on this screen
+const calculateCellSize = (viewport, mazeWidth, mazeHeight) => {
+  if (!viewport) return DEFAULT_CELL_SIZE;
   
-  const isMobile = window.innerWidth <= 768;
+  const isMobile = viewport.width <= 768;
   const padding = isMobile ? 20 : 40;
   const headerHeight = isMobile ? 140 : 100; // Space for title, stats, and controls
   const footerHeight = isMobile ? 160 : 60; // D-pad on mobile needs more space
   
-  const availableWidth = window.innerWidth - padding * 2;
-  const availableHeight = window.innerHeight - headerHeight - footerHeight;
+  const availableWidth = viewport.width - padding * 2;
+  const availableHeight = viewport.height - headerHeight - footerHeight;
   
-  const cellByWidth = Math.floor(availableWidth / MAZE_WIDTH);
-  const cellByHeight = Math.floor(availableHeight / MAZE_HEIGHT);
+  const cellByWidth = Math.floor(availableWidth / mazeWidth);
+  const cellByHeight = Math.floor(availableHeight / mazeHeight);
   
   // Use the smaller dimension to ensure it fits, with min/max constraints
   const calculatedSize = Math.min(cellByWidth, cellByHeight);
   return Math.max(16, Math.min(calculatedSize, 32)); // Between 16 and 32 pixels
 };
 
-// Maze generation using recursive backtracking
-const generateMaze = () => {
-  const maze = Array(MAZE_HEIGHT).fill(null).map(() => Array(MAZE_WIDTH).fill(1));
-  
-  const carve = (x, y) => {
-    maze[y][x] = 0;
-    const directions = [
-      [0, -2], [0, 2], [-2, 0], [2, 0]
-    ].sort(() => Math.random() - 0.5);
-    
-    for (const [dx, dy] of directions) {
-      const nx = x + dx;
-      const ny = y + dy;
-      if (nx > 0 && nx < MAZE_WIDTH - 1 && ny > 0 && ny < MAZE_HEIGHT - 1 && maze[ny][nx] === 1) {
-        maze[y + dy/2][x + dx/2] = 0;
-        carve(nx, ny);
-      }
-    }
-  };
-  
-  carve(1, 1);
-  
-  // Add some extra passages for more open gameplay
-  for (let i = 0; i < 30; i++) {
-    const x = Math.floor(Math.random() * (MAZE_WIDTH - 2)) + 1;
-    const y = Math.floor(Math.random() * (MAZE_HEIGHT - 2)) + 1;
-    if (maze[y][x] === 1) {
-      const neighbors = [
-        [0, -1], [0, 1], [-1, 0], [1, 0]
-      ].filter(([dx, dy]) => maze[y + dy]?.[x + dx] === 0);
-      if (neighbors.length >= 2) {
-        maze[y][x] = 0;
-      }
-    }
-  }
-  
-  // Remove all dead ends - ensure every path cell has at least 2 exits
-  let hasDeadEnds = true;
-  while (hasDeadEnds) {
-    hasDeadEnds = false;
-    for (let y = 1; y < MAZE_HEIGHT - 1; y++) {
-      for (let x = 1; x < MAZE_WIDTH - 1; x++) {
-        if (maze[y][x] === 0) {
-          // Count open neighbors
-          const openNeighbors = [
-            [0, -1], [0, 1], [-1, 0], [1, 0]
-          ].filter(([dx, dy]) => maze[y + dy]?.[x + dx] === 0);
-          
-          // If only 1 exit (dead end), open a wall to create another exit
-          if (openNeighbors.length === 1) {
-            hasDeadEnds = true;
-            // Find wall neighbors that could be opened
-            const wallNeighbors = [
-              [0, -1], [0, 1], [-1, 0], [1, 0]
-            ].filter(([dx, dy]) => {
-              const nx = x + dx;
-              const ny = y + dy;
-              return ny > 0 && ny < MAZE_HEIGHT - 1 && nx > 0 && nx < MAZE_WIDTH - 1 && maze[ny][nx] === 1;
-            });
-            
-            if (wallNeighbors.length > 0) {
-              // Pick a random wall to open
-              const [dx, dy] = wallNeighbors[Math.floor(Math.random() * wallNeighbors.length)];
-              maze[y + dy][x + dx] = 0;
-            }
-          }
-        }
-      }
-    }
-  }
-  
-  return maze;
+// Offer a replay file as a download
+const downloadReplayFile = (file) => {
+  const url = URL.createObjectURL(new Blob([serializeReplayFile(file)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getReplayFileName(file);
+  link.click();
+  URL.revokeObjectURL(url);
 };
 
-const placeBones = (maze) => {
-  const bones = [];
-  for (let y = 0; y < MAZE_HEIGHT; y++) {
-    for (let x = 0; x < MAZE_WIDTH; x++) {
-      if (maze[y][x] === 0 && !(x === 1 && y === 1)) {
-        if (Math.random() < 0.4) {
-          bones.push({ x, y });
-        }
-      }
-    }
+// What to warn the player about before the next level
+const nextLevelHint = (lvl) => {
+  const current = getLevelSettings(lvl);
+  const next = getLevelSettings(lvl + 1);
+  const more = next.catcherCount > current.catcherCount;
+  const faster = next.catcherSpeed < current.catcherSpeed;
+  if (more && faster) return "More dog catchers and they're faster!";
+  if (more) return 'More dog catchers!';
+  if (faster) return "The dog catchers are faster!";
+  return null;
+};
+
+const droppedReplaysNotice = (count) =>
+  `Storage is full - removed ${count} old ${count === 1 ? 'replay' : 'replays'} to make room`;
+
+// Random fireworks spread across the whole maze (size in pixels)
+const createFireworks = (count, colors, boardWidth, boardHeight) => {
+  const fireworks = [];
+  for (let i = 0; i < count; i++) {
+    fireworks.push({
+      id: Date.now() + Math.random(),
+      x: Math.random() * (boardWidth - 40) + 20,
+      y: Math.random() * (boardHeight - 40) + 20,
+      color: colors[Math.floor(Math.random() * colors.length)],
+    });
   }
-  return bones;
+  return fireworks;
 };
 
 const Dog = ({ x, y, direction, inSafeZone, cellSize = DEFAULT_CELL_SIZE }) => (
@@ -124,7 +117,6 @@ const Dog = ({ x, y, direction, inSafeZone, cellSize = DEFAULT_CELL_SIZE }) => (
       alignItems: 'center',
       justifyContent: 'center',
       transform: direction === 'left' ? 'scaleX(-1)' : 'scaleX(1)',
-      transition: 'left 0.1s, top 0.1s',
       zIndex: inSafeZone ? 10 : 6,
     }}
   >
@@ -154,7 +146,16 @@ const Dog = ({ x, y, direction, inSafeZone, cellSize = DEFAULT_CELL_SIZE }) => (
   </div>
 );
 
-const DogCatcher = ({ x, y, cellSize = DEFAULT_CELL_SIZE, frozen = false }) => (
+// Uniform colour tells the catcher roles apart
+const CATCHER_COLORS = {
+  chaser: '#DC143C',
+  ambusher: '#FF69B4',
+  patroller: '#4169E1',
+  wanderer: '#FF8C00',
+};
+
+// Frightened catchers turn blue, and flicker back when the fright is about to end
+const DogCatcher = ({ x, y, role, cellSize = DEFAULT_CELL_SIZE, frightened = false, warning = false }) => (
   <div
     style={{
       position: 'absolute',
@@ -165,15 +166,15 @@ const DogCatcher = ({ x, y, cellSize = DEFAULT_CELL_SIZE, frozen = false }) => (
       display: 'flex',
       alignItems: 'center',
       justifyContent: 'center',
-      transition: 'left 0.15s, top 0.15s',
       zIndex: 4,
-      opacity: frozen ? 0.6 : 1,
-      filter: frozen ? 'hue-rotate(180deg) saturate(1.5)' : 'none',
+      opacity: frightened ? 0.75 : 1,
+      filter: frightened ? 'hue-rotate(180deg) saturate(1.5)' : 'none',
+      animation: frightened && warning ? 'catcher-warning 0.3s steps(1) infinite' : 'none',
     }}
   >
     <svg viewBox="0 0 32 32" width={cellSize - 2} height={cellSize - 2}>
       {/* Body */}
-      <rect x="10" y="14" width="12" height="14" rx="2" fill="#4169E1" />
+      <rect x="10" y="14" width="12" height="14" rx="2" fill={CATCHER_COLORS[role] ?? '#4169E1'} />
       {/* Head */}
       <circle cx="16" cy="9" r="6" fill="#FDBF6F" />
       {/* Hat */}
@@ -186,8 +187,8 @@ const DogCatcher = ({ x, y, cellSize = DEFAULT_CELL_SIZE, frozen = false }) => (
       <line x1="24" y1="8" x2="30" y2="4" stroke="#8B4513" strokeWidth="2" />
       <circle cx="30" cy="4" r="4" fill="none" stroke="#696969" strokeWidth="1" />
       <path d="M27 2 Q30 4 27 6" stroke="#696969" strokeWidth="0.5" fill="none" />
-      {/* Frozen indicator */}
-      {frozen && (
+      {/* Frightened sweat drops */}
+      {frightened && (
         <>
           <circle cx="8" cy="4" r="2" fill="#87CEEB" opacity="0.8" />
           <circle cx="24" cy="20" r="1.5" fill="#87CEEB" opacity="0.8" />
@@ -434,7 +435,8 @@ const SpecialItem = ({ type, x, y, cellSize = DEFAULT_CELL_SIZE }) => {
   }
 };
 
-const Couch = ({ x, y, cellSize }) => {
+// `timeLeft` (0-1) shows how much longer Socks may stay before being kicked off
+const Couch = ({ x, y, cellSize, timeLeft = null }) => {
   const width = 5 * cellSize;
   const height = 3 * cellSize;
   
@@ -572,6 +574,20 @@ const Couch = ({ x, y, cellSize }) => {
         </div>
       </div>
       
+      {/* Couch time left */}
+      {timeLeft !== null && (
+        <div style={{
+          position: 'absolute',
+          left: 4,
+          top: -6,
+          width: (width - 8) * timeLeft,
+          height: 4,
+          backgroundColor: timeLeft < 0.3 ? '#ff4444' : '#00ff00',
+          borderRadius: 2,
+          boxShadow: `0 0 6px ${timeLeft < 0.3 ? '#ff4444' : '#00ff00'}`,
+        }} />
+      )}
+      
       {/* "Place" label */}
       <div style={{
         position: 'absolute',
@@ -960,24 +976,32 @@ const HighScoreEntry = ({ score, onSubmit, isMobile }) => {
     onSubmit(initials.join(''));
   };
   
-  // Keyboard support
+  // Keyboard and controller support
   useEffect(() => {
-    const handleKey = (e) => {
-      if (e.key === 'ArrowUp') {
+    const handleInput = (input) => {
+      if (input === 'up') {
         cycleUp(activeIndex);
-      } else if (e.key === 'ArrowDown') {
+      } else if (input === 'down') {
         cycleDown(activeIndex);
-      } else if (e.key === 'ArrowLeft') {
+      } else if (input === 'left') {
         setActiveIndex(prev => Math.max(0, prev - 1));
-      } else if (e.key === 'ArrowRight') {
+      } else if (input === 'right') {
         setActiveIndex(prev => Math.min(2, prev + 1));
-      } else if (e.key === 'Enter') {
+      } else if (input === 'confirm') {
         handleSubmit();
       }
     };
+    const keyInputs = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right', Enter: 'confirm' };
+    const handleKey = (e) => handleInput(keyInputs[e.key]);
     window.addEventListener('keydown', handleKey);
-    return () => window.removeEventListener('keydown', handleKey);
-  }, [activeIndex]);
+    const unsubscribe = subscribeGamepad(({ type, button }) => {
+      if (type === 'press') handleInput(button === 'a' ? 'confirm' : button);
+    });
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+      unsubscribe();
+    };
+  }, [activeIndex, initials]);
   
   return (
     <div style={{
@@ -1124,92 +1148,963 @@ const HighScoreEntry = ({ score, onSubmit, isMobile }) => {
   );
 };
 
+// Replay playback controls - play/pause, scrub bar and speed selector
+const ReplayControls = ({ replay, onTogglePlay, onSeek, onSpeedChange, onSave, onClose, isMobile }) => {
+  const buttonStyle = {
+    padding: isMobile ? '6px 10px' : '8px 14px',
+    backgroundColor: '#0066ff',
+    color: '#fff',
+    fontSize: isMobile ? '8px' : '10px',
+    fontWeight: 'bold',
+    borderRadius: '4px',
+    border: '2px solid #00ffff',
+    cursor: 'pointer',
+    fontFamily: '"Press Start 2P", monospace',
+    boxShadow: '0 0 10px rgba(0, 255, 255, 0.5), 0 4px 0 #003399',
+  };
+  
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '12px 16px',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      border: '2px solid #ff00de',
+      borderRadius: '4px',
+      boxShadow: '0 0 10px rgba(255, 0, 222, 0.3)',
+      fontFamily: '"Press Start 2P", monospace',
+      color: '#00ffff',
+      fontSize: isMobile ? '7px' : '9px',
+      width: isMobile ? '300px' : '480px',
+      maxWidth: '100%',
+      zIndex: 10,
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+        <span style={{ color: '#ff00de', textShadow: '0 0 8px #ff00de' }}>▶ REPLAY</span>
+        <span>SEED {replay.recording.seed}</span>
+      </div>
+      
+      <input
+        type="range"
+        min={0}
+        max={replay.recording.ticks}
+        value={replay.tick}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        style={{ width: '100%', accentColor: '#ff00de', marginBottom: '8px' }}
+      />
+      
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <button onClick={onTogglePlay} style={buttonStyle}>
+          {replay.playing ? '⏸' : '▶'}
+        </button>
+        <span>{formatTicks(replay.tick)} / {formatTicks(replay.recording.ticks)}</span>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {REPLAY_SPEEDS.map(speed => (
+            <button
+              key={speed}
+              onClick={() => onSpeedChange(speed)}
+              style={{
+                ...buttonStyle,
+                padding: isMobile ? '6px' : '8px',
+                backgroundColor: replay.speed === speed ? '#ff00de' : '#333',
+              }}
+            >
+              {speed}x
+            </button>
+          ))}
+        </div>
+        <button onClick={onSave} title="Save replay file" style={buttonStyle}>
+          💾
+        </button>
+        <button onClick={onClose} style={{ ...buttonStyle, backgroundColor: '#cc0000', border: '2px solid #ff00de' }}>
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Typing in a form field shouldn't move Socks or pause the game
+const isTextField = (target) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(target?.tagName);
+
+const customLevelButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#ff00de',
+  cursor: 'pointer',
+  fontSize: 'inherit',
+  fontFamily: 'inherit',
+  padding: 0,
+};
+
+const AUDIO_SLIDERS = [
+  { id: 'master', label: 'VOLUME' },
+  { id: 'sfx', label: 'EFFECTS' },
+  { id: 'music', label: 'MUSIC' },
+];
+
+// Level editor tools - what a click (or drag, for walls and floor) on the grid does
+const EDITOR_TOOLS = [
+  { id: 'wall', label: '🧱', title: 'Wall' },
+  { id: 'floor', label: '⬛', title: 'Floor' },
+  { id: 'spawn', label: '🐕', title: "Socks' spawn" },
+  { id: 'couch', label: '🛋️', title: 'Couch' },
+  { id: 'catcher', label: '🧢', title: 'Catcher spawn (click again to remove)' },
+  { id: 'bone', label: '🦴', title: 'Bone (click again to remove)' },
+  { id: 'treat', label: '🍖', title: 'Dog treat spawn' },
+];
+
+const PROBLEM_LABELS = {
+  spawnBlocked: "Socks' spawn is inside a wall",
+  unreachableFloor: 'Floor Socks can never reach',
+  unreachableBone: 'Bone Socks can never reach',
+  unreachableCatcher: "Catcher that can't reach Socks",
+  catcherTooClose: 'Catcher starts too close to Socks',
+  boneUnderCouch: 'Bone under the couch or its label',
+  noBones: 'No bones to eat outside the couch',
+};
+
+// Problems that can't be fixed up, so the level can't be played or shared
+const BLOCKING_PROBLEMS = ['noBones'];
+
+const oddSizes = (min, max) => Array.from({ length: (max - min) / 2 + 1 }, (_, i) => min + i * 2);
+
+const samePos = (a, b) => a && b && a.x === b.x && a.y === b.y;
+
+// Paint one tile of a level definition with an editor tool. Returns the
+// updated level, or the same one if nothing changed.
+const applyEditorTool = (level, tool, { x, y }, catcherRole) => {
+  const { width, height } = level.size;
+  if (x <= 0 || y <= 0 || x >= width - 1 || y >= height - 1) return level; // The edge stays wall
+  const { layout } = level;
+  const setTile = (rows, tile) => rows.map((row, ry) => (ry === y ? row.slice(0, x) + tile + row.slice(x + 1) : row));
+  const floorRows = setTile(layout.rows, '.');
+  const withLayout = (changes, roles = level.catchers.roles) => ({
+    ...level,
+    catchers: { ...level.catchers, roles },
+    layout: { ...layout, ...changes },
+  });
+
+  switch (tool) {
+    case 'wall':
+      return layout.rows[y][x] === '#' ? level : withLayout({ rows: setTile(layout.rows, '#') });
+    case 'floor':
+      return layout.rows[y][x] === '.' ? level : withLayout({ rows: floorRows });
+    case 'spawn':
+      return withLayout({ rows: floorRows, spawn: { x, y } });
+    case 'couch':
+      // Centre the couch on the clicked tile, as far as it fits
+      return withLayout({
+        couch: {
+          x: Math.max(1, Math.min(x - 2, width - 1 - engine.COUCH_WIDTH)),
+          y: Math.max(1, Math.min(y - 1, height - 1 - engine.COUCH_HEIGHT)),
+        },
+      });
+    case 'catcher': {
+      const index = layout.catchers.findIndex(pos => samePos(pos, { x, y }));
+      if (index !== -1) {
+        return withLayout(
+          { catchers: layout.catchers.filter((_, i) => i !== index) },
+          level.catchers.roles.filter((_, i) => i !== index),
+        );
+      }
+      if (layout.catchers.length >= MAX_CATCHERS) return level;
+      return withLayout({ rows: floorRows, catchers: [...layout.catchers, { x, y }] }, [...level.catchers.roles, catcherRole]);
+    }
+    case 'bone':
+      return layout.bones.some(pos => samePos(pos, { x, y }))
+        ? withLayout({ bones: layout.bones.filter(pos => !samePos(pos, { x, y })) })
+        : withLayout({ rows: floorRows, bones: [...layout.bones, { x, y }] });
+    case 'treat':
+      return withLayout(samePos(layout.treat, { x, y }) ? { treat: null } : { rows: floorRows, treat: { x, y } });
+    default:
+      return level;
+  }
+};
+
+// Level editor - paint a layout and tune a level's settings, then save it
+// or playtest it straight away. `level` is a definition in the campaign's
+// JSON format (see game/levels.js); every edit is passed up via onChange.
+const LevelEditor = ({ level, onChange, onSave, onPlaytest, onShare, onClose, isMobile }) => {
+  const [tool, setTool] = useState('wall');
+  const [catcherRole, setCatcherRole] = useState(CATCHER_ROLES[0]);
+  const [scheduleText, setScheduleText] = useState(() => level.modeSchedule.join(', '));
+  const [painting, setPainting] = useState(false);
+
+  // Stop a wall/floor drag wherever the mouse is let go
+  useEffect(() => {
+    if (!painting) return;
+    const stopPainting = () => setPainting(false);
+    window.addEventListener('pointerup', stopPainting);
+    return () => window.removeEventListener('pointerup', stopPainting);
+  }, [painting]);
+
+  let settings = null;
+  let error = null;
+  try {
+    settings = parseLevel(level);
+  } catch (e) {
+    error = e.message.replace(/^Level 1: /, '');
+  }
+  const problems = settings ? engine.findLayoutProblems(settings) : [];
+  const problemCounts = problems.reduce((counts, { type }) => ({ ...counts, [type]: (counts[type] ?? 0) + 1 }), {});
+  const playable = settings !== null && !problems.some(({ type }) => BLOCKING_PROBLEMS.includes(type));
+
+  const { width, height } = level.size;
+  const { layout } = level;
+  const cellSize = Math.max(8, Math.min(24, Math.floor((isMobile ? 300 : 520) / width)));
+
+  const paint = (pos) => {
+    const next = applyEditorTool(level, tool, pos, catcherRole);
+    if (next !== level) onChange(next);
+  };
+  const update = (changes) => onChange({ ...level, ...changes });
+
+  const labelStyle = { display: 'block', color: '#ff00de', marginBottom: '4px' };
+  const fieldStyle = {
+    width: '100%',
+    marginBottom: '10px',
+    padding: '4px',
+    backgroundColor: '#000',
+    color: '#00ffff',
+    border: '2px solid #00ffff',
+    borderRadius: '4px',
+    fontFamily: 'inherit',
+    fontSize: 'inherit',
+  };
+  const buttonStyle = {
+    padding: isMobile ? '8px 10px' : '10px 14px',
+    color: '#fff',
+    fontSize: isMobile ? '8px' : '10px',
+    fontWeight: 'bold',
+    borderRadius: '4px',
+    border: '2px solid #00ffff',
+    cursor: 'pointer',
+    fontFamily: '"Press Start 2P", monospace',
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      zIndex: 40,
+      top: '16px',
+      backgroundColor: 'rgba(0, 0, 20, 0.97)',
+      border: '4px solid #00ffff',
+      borderRadius: '8px',
+      boxShadow: '0 0 30px rgba(0, 255, 255, 0.5)',
+      padding: isMobile ? '12px' : '20px',
+      fontFamily: '"Press Start 2P", monospace',
+      fontSize: isMobile ? '7px' : '9px',
+      color: '#00ffff',
+      maxWidth: '95vw',
+      maxHeight: 'calc(100vh - 32px)',
+      overflowY: 'auto',
+    }}>
+      <h2 style={{ color: '#ffff00', fontSize: isMobile ? '10px' : '14px', marginBottom: '12px', textShadow: '0 0 10px #ffff00' }}>
+        ✏️ LEVEL EDITOR
+      </h2>
+
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        <div>
+          {/* Tool palette */}
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+            {EDITOR_TOOLS.map(({ id, label, title }) => (
+              <button
+                key={id}
+                onClick={() => setTool(id)}
+                title={title}
+                style={{
+                  ...buttonStyle,
+                  padding: '6px',
+                  backgroundColor: tool === id ? '#ff00de' : '#333',
+                }}
+              >
+                {label}
+              </button>
+            ))}
+            {tool === 'catcher' && (
+              <select value={catcherRole} onChange={(e) => setCatcherRole(e.target.value)} style={{ ...fieldStyle, width: 'auto', marginBottom: 0 }}>
+                {CATCHER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+            )}
+          </div>
+
+          {/* Grid */}
+          <div
+            style={{
+              position: 'relative',
+              width: width * cellSize,
+              height: height * cellSize,
+              backgroundColor: level.colors.floor,
+              border: `2px solid ${level.colors.accent}`,
+              boxSizing: 'content-box',
+              touchAction: 'none',
+              cursor: 'crosshair',
+            }}
+          >
+            {layout.rows.map((row, y) => [...row].map((tile, x) => (
+              <div
+                key={`${x}-${y}`}
+                onPointerDown={(e) => {
+                  e.preventDefault();
+                  paint({ x, y });
+                  if (tool === 'wall' || tool === 'floor') setPainting(true);
+                }}
+                onPointerEnter={() => {
+                  if (painting) paint({ x, y });
+                }}
+                style={{
+                  position: 'absolute',
+                  left: x * cellSize,
+                  top: y * cellSize,
+                  width: cellSize,
+                  height: cellSize,
+                  backgroundColor: tile === '#' ? level.colors.wall : 'transparent',
+                  outline: '1px solid rgba(255, 255, 255, 0.05)',
+                }}
+              />
+            )))}
+
+            {/* Markers - clicks go through to the tile underneath */}
+            <div style={{ position: 'absolute', inset: 0, pointerEvents: 'none', fontSize: cellSize * 0.7, lineHeight: `${cellSize}px`, textAlign: 'center' }}>
+              <div style={{
+                position: 'absolute',
+                left: layout.couch.x * cellSize,
+                top: layout.couch.y * cellSize,
+                width: engine.COUCH_WIDTH * cellSize,
+                height: engine.COUCH_HEIGHT * cellSize,
+                backgroundColor: 'rgba(139, 69, 19, 0.6)',
+                border: '2px solid #D2691E',
+                boxSizing: 'border-box',
+                lineHeight: `${engine.COUCH_HEIGHT * cellSize - 4}px`,
+              }}>
+                🛋️
+              </div>
+              {layout.bones.map(({ x, y }) => (
+                <div key={`bone-${x}-${y}`} style={{ position: 'absolute', left: x * cellSize, top: y * cellSize, width: cellSize, fontSize: cellSize * 0.5 }}>🦴</div>
+              ))}
+              {layout.treat && (
+                <div style={{ position: 'absolute', left: layout.treat.x * cellSize, top: layout.treat.y * cellSize, width: cellSize }}>🍖</div>
+              )}
+              {layout.catchers.map(({ x, y }, i) => (
+                <div
+                  key={`catcher-${i}`}
+                  title={level.catchers.roles[i]}
+                  style={{
+                    position: 'absolute',
+                    left: x * cellSize,
+                    top: y * cellSize,
+                    width: cellSize,
+                    backgroundColor: CATCHER_COLORS[level.catchers.roles[i]],
+                    borderRadius: '50%',
+                  }}
+                >
+                  🧢
+                </div>
+              ))}
+              <div style={{ position: 'absolute', left: layout.spawn.x * cellSize, top: layout.spawn.y * cellSize, width: cellSize }}>🐕</div>
+            </div>
+          </div>
+          <p style={{ color: '#888', marginTop: '6px' }}>
+            {layout.catchers.length}/{MAX_CATCHERS} CATCHERS • {layout.bones.length} BONES
+          </p>
+        </div>
+
+        {/* Level settings */}
+        <div style={{ width: isMobile ? '100%' : '220px' }}>
+          <label style={labelStyle}>NAME</label>
+          <input
+            type="text"
+            value={level.name}
+            maxLength={20}
+            onChange={(e) => update({ name: e.target.value })}
+            style={fieldStyle}
+          />
+
+          <label style={labelStyle}>SIZE</label>
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+            {['width', 'height'].map((key, i) => (
+              <React.Fragment key={key}>
+                {i > 0 && <span style={{ marginBottom: '10px' }}>×</span>}
+                <select
+                  value={level.size[key]}
+                  onChange={(e) => {
+                    const size = { ...level.size, [key]: Number(e.target.value) };
+                    onChange(resizeLevel(level, size.width, size.height));
+                  }}
+                  style={fieldStyle}
+                >
+                  {oddSizes(MIN_MAZE_SIZE[key], MAX_MAZE_SIZE[key]).map(value => <option key={value} value={value}>{value}</option>)}
+                </select>
+              </React.Fragment>
+            ))}
+          </div>
+
+          <label style={labelStyle}>COLORS</label>
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '10px' }}>
+            {['wall', 'floor', 'accent'].map(key => (
+              <input
+                key={key}
+                type="color"
+                title={key}
+                value={level.colors[key]}
+                onChange={(e) => update({ colors: { ...level.colors, [key]: e.target.value } })}
+                style={{ width: '40px', height: '24px', border: 'none', background: 'none', cursor: 'pointer' }}
+              />
+            ))}
+          </div>
+
+          <label style={labelStyle}>CATCHER STEP (MS)</label>
+          <input
+            type="number"
+            min={50}
+            step={10}
+            value={level.catchers.speed}
+            onChange={(e) => update({ catchers: { ...level.catchers, speed: Number(e.target.value) } })}
+            style={fieldStyle}
+          />
+
+          <label style={labelStyle}>COUCH TIME (MS)</label>
+          <input
+            type="number"
+            min={1000}
+            step={500}
+            value={level.couchTimeLimit}
+            onChange={(e) => update({ couchTimeLimit: Number(e.target.value) })}
+            style={fieldStyle}
+          />
+
+          <label style={labelStyle}>SCATTER/CHASE (MS)</label>
+          <input
+            type="text"
+            value={scheduleText}
+            onChange={(e) => {
+              setScheduleText(e.target.value);
+              update({ modeSchedule: e.target.value.split(',').map(part => Number(part.trim())) });
+            }}
+            style={fieldStyle}
+          />
+
+          <label style={labelStyle}>GOAL</label>
+          <select value={level.goal} onChange={(e) => update({ goal: e.target.value })} style={fieldStyle}>
+            {LEVEL_GOALS.map(goal => <option key={goal} value={goal}>{goal === 'bones' ? 'Eat every bone' : 'Bones, then the treat'}</option>)}
+          </select>
+
+          <label style={labelStyle}>SPECIALS</label>
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '10px', flexWrap: 'wrap' }}>
+            {SPECIAL_TYPES.map(type => (
+              <label key={type} title={type} style={{ cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={level.specials.includes(type)}
+                  onChange={(e) => update({
+                    specials: e.target.checked ? [...level.specials, type] : level.specials.filter(t => t !== type),
+                  })}
+                />
+                {SPECIAL_EMOJI[type]}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Problems - schema errors and blocking problems stop play, the rest get repaired when it starts */}
+      {error && <p style={{ color: '#ff6666', marginTop: '10px' }}>⚠ {error}</p>}
+      {Object.entries(problemCounts).map(([type, count]) => (
+        <p key={type} style={{ color: BLOCKING_PROBLEMS.includes(type) ? '#ff6666' : '#ffaa00', marginTop: '6px' }}>
+          ⚠ {PROBLEM_LABELS[type]}{count > 1 ? ` ×${count}` : ''}
+          {!BLOCKING_PROBLEMS.includes(type) && (type === 'boneUnderCouch' ? ' - left out when played' : ' - will be fixed up when played')}
+        </p>
+      ))}
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '14px', flexWrap: 'wrap' }}>
+        <button
+          onClick={() => onPlaytest(settings)}
+          disabled={!playable}
+          style={{ ...buttonStyle, backgroundColor: playable ? '#00aa00' : '#333' }}
+        >
+          ▶ PLAYTEST
+        </button>
+        <button
+          onClick={onSave}
+          disabled={!playable}
+          style={{ ...buttonStyle, backgroundColor: playable ? '#0066ff' : '#333' }}
+        >
+          💾 SAVE
+        </button>
+        <button
+          onClick={() => onShare({ type: 'custom', settings })}
+          disabled={!playable}
+          style={{ ...buttonStyle, backgroundColor: playable ? '#7c3aed' : '#333' }}
+        >
+          🔗 SHARE
+        </button>
+        <button onClick={onClose} style={{ ...buttonStyle, backgroundColor: '#cc0000', border: '2px solid #ff00de' }}>
+          ✕ CLOSE
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Settings - sound volumes, vibration, and the controls: every action can have any
+// number of keys. Clicking "+" waits for the next key press and binds it;
+// keys bound to more than one action are flagged, since only the first of
+// those actions will fire.
+const SettingsScreen = ({
+  bindings, onChange, inputBuffering, onInputBufferingChange, audioSettings, onAudioSettingsChange,
+  hapticsSettings, onHapticsSettingsChange, onClose, isMobile,
+}) => {
+  const [listening, setListening] = useState(null);
+  const conflicts = findConflicts(bindings);
+
+  // Grab the next key press before the game sees it
+  useEffect(() => {
+    if (!listening) return;
+    const captureKey = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (!bindings[listening].includes(e.code)) {
+        onChange({ ...bindings, [listening]: [...bindings[listening], e.code] });
+      }
+      setListening(null);
+    };
+    window.addEventListener('keydown', captureKey, true);
+    return () => window.removeEventListener('keydown', captureKey, true);
+  }, [listening, bindings, onChange]);
+
+  const buttonStyle = {
+    padding: isMobile ? '8px 10px' : '10px 14px',
+    color: '#fff',
+    fontSize: isMobile ? '8px' : '10px',
+    fontWeight: 'bold',
+    borderRadius: '4px',
+    border: '2px solid #00ffff',
+    cursor: 'pointer',
+    fontFamily: '"Press Start 2P", monospace',
+  };
+  const keyStyle = {
+    padding: '4px 6px',
+    backgroundColor: '#111',
+    color: '#00ffff',
+    border: '2px solid #00ffff',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+    fontSize: 'inherit',
+  };
+  const actionLabel = (id) => ACTIONS.find(action => action.id === id).label;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      zIndex: 40,
+      top: '16px',
+      backgroundColor: 'rgba(0, 0, 20, 0.97)',
+      border: '4px solid #00ffff',
+      borderRadius: '8px',
+      boxShadow: '0 0 30px rgba(0, 255, 255, 0.5)',
+      padding: isMobile ? '12px' : '20px',
+      fontFamily: '"Press Start 2P", monospace',
+      fontSize: isMobile ? '7px' : '9px',
+      color: '#00ffff',
+      maxWidth: '95vw',
+      maxHeight: 'calc(100vh - 32px)',
+      overflowY: 'auto',
+    }}>
+      <h2 style={{ color: '#ffff00', fontSize: isMobile ? '10px' : '14px', marginBottom: '12px', textShadow: '0 0 10px #ffff00' }}>
+        ⚙️ SETTINGS
+      </h2>
+
+      {AUDIO_SLIDERS.map(({ id, label }) => (
+        <label key={id} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+          <span style={{ color: '#ff00de', width: isMobile ? '90px' : '130px' }}>{label}</span>
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.05}
+            value={audioSettings[id]}
+            onChange={(e) => onAudioSettingsChange({ ...audioSettings, [id]: Number(e.target.value) })}
+          />
+          <span style={{ width: '40px' }}>{Math.round(audioSettings[id] * 100)}%</span>
+        </label>
+      ))}
+      <label style={{ display: 'block', marginBottom: '16px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={audioSettings.muted}
+          onChange={(e) => onAudioSettingsChange({ ...audioSettings, muted: e.target.checked })}
+          style={{ marginRight: '8px' }}
+        />
+        <span style={{ color: '#ff00de' }}>MUTE</span>
+      </label>
+
+      {/* Vibration - only offered where the browser can do it */}
+      {isHapticsSupported() && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
+          <label style={{ cursor: 'pointer', width: isMobile ? '90px' : '130px' }}>
+            <input
+              type="checkbox"
+              checked={hapticsSettings.enabled}
+              onChange={(e) => onHapticsSettingsChange({ ...hapticsSettings, enabled: e.target.checked })}
+              style={{ marginRight: '8px' }}
+            />
+            <span style={{ color: '#ff00de' }}>VIBRATE</span>
+          </label>
+          <input
+            type="range"
+            min={MIN_HAPTICS_INTENSITY}
+            max={1}
+            step={0.25}
+            value={hapticsSettings.intensity}
+            disabled={!hapticsSettings.enabled}
+            onChange={(e) => onHapticsSettingsChange({ ...hapticsSettings, intensity: Number(e.target.value) })}
+          />
+          <span style={{ width: '40px' }}>{Math.round(hapticsSettings.intensity * 100)}%</span>
+        </div>
+      )}
+
+      <h3 style={{ color: '#ffff00', fontSize: isMobile ? '8px' : '10px', marginBottom: '10px' }}>⌨️ CONTROLS</h3>
+
+      {ACTIONS.map(({ id, label }) => (
+        <div key={id} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px', flexWrap: 'wrap' }}>
+          <span style={{ color: '#ff00de', width: isMobile ? '90px' : '130px' }}>{label.toUpperCase()}</span>
+          {bindings[id].map(code => (
+            <button
+              key={code}
+              onClick={() => onChange({ ...bindings, [id]: bindings[id].filter(key => key !== code) })}
+              title={conflicts[code] ? `Also bound to ${conflicts[code].filter(action => action !== id).map(actionLabel).join(', ')}` : 'Click to remove'}
+              style={{ ...keyStyle, ...(conflicts[code] && { color: '#ff6666', borderColor: '#ff6666' }) }}
+            >
+              {formatKey(code)} ✕
+            </button>
+          ))}
+          <button
+            onClick={() => setListening(listening === id ? null : id)}
+            style={{ ...keyStyle, color: '#ffff00', borderColor: '#ffff00' }}
+          >
+            {listening === id ? 'PRESS A KEY...' : '+'}
+          </button>
+        </div>
+      ))}
+
+      {Object.entries(conflicts).map(([code, actions]) => (
+        <p key={code} style={{ color: '#ff6666', marginTop: '6px' }}>
+          ⚠ {formatKey(code)} is bound to {actions.map(actionLabel).join(' and ')} - only {actionLabel(actions[0])} will work
+        </p>
+      ))}
+      {ACTIONS.filter(({ id }) => bindings[id].length === 0).map(({ id, label }) => (
+        <p key={id} style={{ color: '#ffaa00', marginTop: '6px' }}>⚠ Nothing is bound to {label}</p>
+      ))}
+
+      <label style={{ display: 'block', marginTop: '14px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={inputBuffering}
+          onChange={(e) => onInputBufferingChange(e.target.checked)}
+          style={{ marginRight: '8px' }}
+        />
+        <span style={{ color: '#ff00de' }}>INPUT BUFFERING</span>
+      </label>
+      <p style={{ color: '#9ca3af', marginTop: '4px' }}>
+        Turns pressed before a corner are saved until Socks gets there. Applies from the next run.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '14px', flexWrap: 'wrap' }}>
+        <button
+          onClick={() => onChange(structuredClone(DEFAULT_BINDINGS))}
+          style={{ ...buttonStyle, backgroundColor: '#7c3aed' }}
+        >
+          ↺ DEFAULTS
+        </button>
+        <button onClick={onClose} style={{ ...buttonStyle, backgroundColor: '#cc0000', border: '2px solid #ff00de' }}>
+          ✕ CLOSE
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const LEADERBOARD_FILTERS = [
+  { id: 'all', label: 'ALL' },
+  { id: 'classic', label: 'CLASSIC' },
+  { id: 'daily', label: 'DAILY' },
+];
+
+const formatPlayTime = (ms) => (ms === null ? '-' : formatTicks(Math.round(ms / TICK_MS)));
+
+// Every saved score with how the run went. Sort and filter the list, and
+// pick an entry to see all of it. Scores from before these stats were kept
+// show '-' for what they don't know; ⏳ marks scores still waiting to be sent
+// to the leaderboard server.
+const Leaderboard = ({ entries, onWatchReplay, onClose, isMobile }) => {
+  const [sort, setSort] = useState('score');
+  const [mode, setMode] = useState('all');
+  const [selected, setSelected] = useState(null);
+  const rows = sortLeaderboard(entries, { sort, mode });
+
+  const buttonStyle = {
+    padding: isMobile ? '6px 8px' : '8px 10px',
+    color: '#fff',
+    fontSize: isMobile ? '7px' : '9px',
+    fontWeight: 'bold',
+    borderRadius: '4px',
+    border: '2px solid #00ffff',
+    cursor: 'pointer',
+    fontFamily: '"Press Start 2P", monospace',
+  };
+  const optionStyle = (active) => ({
+    ...buttonStyle,
+    backgroundColor: active ? '#ff00de' : '#111',
+    border: `2px solid ${active ? '#ff00de' : '#00ffff'}`,
+  });
+  const cellStyle = { padding: '4px 6px', textAlign: 'right' };
+  const show = (value) => value ?? '-';
+
+  return (
+    <div style={{
+      position: 'absolute',
+      zIndex: 40,
+      top: '16px',
+      backgroundColor: 'rgba(0, 0, 20, 0.97)',
+      border: '4px solid #ff00de',
+      borderRadius: '8px',
+      boxShadow: '0 0 30px rgba(255, 0, 222, 0.5)',
+      padding: isMobile ? '12px' : '20px',
+      fontFamily: '"Press Start 2P", monospace',
+      fontSize: isMobile ? '7px' : '9px',
+      color: '#00ffff',
+      maxWidth: '95vw',
+      maxHeight: 'calc(100vh - 32px)',
+      overflowY: 'auto',
+    }}>
+      <h2 style={{ color: '#ffff00', fontSize: isMobile ? '10px' : '14px', marginBottom: '12px', textShadow: '0 0 10px #ffff00' }}>
+        🏆 LEADERBOARD
+      </h2>
+
+      {selected ? (
+        <div>
+          <div style={{ color: '#ffff00', fontSize: isMobile ? '9px' : '12px', marginBottom: '10px' }}>
+            {selected.name} - {selected.score.toLocaleString()}
+          </div>
+          {[
+            ['MODE', selected.mode.toUpperCase()],
+            ['RESULT', selected.outcome === 'won' ? 'WON' : selected.outcome === 'lost' ? 'CAUGHT' : '-'],
+            ['LEVEL', show(selected.level)],
+            ['LIVES LEFT', show(selected.lives)],
+            ['SPECIALS', selected.specials
+              ? (selected.specials.map(type => SPECIAL_EMOJI[type]).join('') || 'NONE')
+              : '-'],
+            ['CATCHERS EATEN', show(selected.catchersEaten)],
+            ['TIME', formatPlayTime(selected.time)],
+            ['SEED', show(selected.seed)],
+            ['DATE', selected.date ? new Date(selected.date).toLocaleString() : '-'],
+            ...(selected.pending ? [['STATUS', '⏳ NOT SENT YET']] : []),
+          ].map(([label, value]) => (
+            <div key={label} style={{ display: 'flex', justifyContent: 'space-between', gap: '16px', marginBottom: '6px' }}>
+              <span style={{ color: '#ff00de' }}>{label}</span>
+              <span>{value}</span>
+            </div>
+          ))}
+          <div style={{ display: 'flex', gap: '8px', marginTop: '14px', flexWrap: 'wrap' }}>
+            {canWatchReplay(selected) && (
+              <button onClick={() => onWatchReplay(selected)} style={{ ...buttonStyle, backgroundColor: '#7c3aed' }}>
+                ▶ WATCH REPLAY
+              </button>
+            )}
+            <button onClick={() => setSelected(null)} style={{ ...buttonStyle, backgroundColor: '#111' }}>
+              ◀ BACK
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div>
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap' }}>
+            <span style={{ color: '#ff00de', width: isMobile ? '50px' : '70px' }}>SHOW</span>
+            {LEADERBOARD_FILTERS.map(filter => (
+              <button key={filter.id} onClick={() => setMode(filter.id)} style={optionStyle(mode === filter.id)}>
+                {filter.label}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <span style={{ color: '#ff00de', width: isMobile ? '50px' : '70px' }}>SORT</span>
+            {Object.entries(LEADERBOARD_SORTS).map(([id, { label }]) => (
+              <button key={id} onClick={() => setSort(id)} style={optionStyle(sort === id)}>
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {rows.length === 0 ? (
+            <p style={{ color: '#9ca3af' }}>No scores yet.</p>
+          ) : (
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+              <thead>
+                <tr style={{ color: '#ff00de' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>#</th>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>NAME</th>
+                  <th style={cellStyle}>SCORE</th>
+                  <th style={cellStyle}>LVL</th>
+                  <th style={cellStyle}>TIME</th>
+                  {!isMobile && <th style={cellStyle}>MODE</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((entry, idx) => (
+                  <tr
+                    key={`${entry.date}-${entry.name}-${idx}`}
+                    onClick={() => setSelected(entry)}
+                    title="Show details"
+                    style={{ cursor: 'pointer', color: idx === 0 ? '#ffff00' : '#00ffff' }}
+                  >
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{idx + 1}</td>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{entry.name}{entry.pending && ' ⏳'}</td>
+                    <td style={cellStyle}>{entry.score.toLocaleString()}</td>
+                    <td style={cellStyle}>{show(entry.level)}</td>
+                    <td style={cellStyle}>{formatPlayTime(entry.time)}</td>
+                    {!isMobile && <td style={cellStyle}>{entry.mode.toUpperCase()}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <button onClick={onClose} style={{ ...buttonStyle, marginTop: '14px', backgroundColor: '#cc0000', border: '2px solid #ff00de' }}>
+            ✕ CLOSE
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default function SocksGame() {
-  const [maze, setMaze] = useState(() => generateMaze());
-  const [socks, setSocks] = useState({ x: 1, y: 1, direction: 'right' });
-  const [bones, setBones] = useState(() => placeBones(generateMaze()));
-  const [catchers, setCatchers] = useState([]);
-  const [lives, setLives] = useState(3);
-  const [score, setScore] = useState(0);
-  const [gameState, setGameState] = useState('start'); // start, playing, paused, caught, levelComplete, won, lost
+  const [game, setGame] = useState(() => engine.createGame());
+  const gameRef = useRef(game);
   const [heldDirection, setHeldDirection] = useState(null);
-  const socksRef = useRef({ x: 1, y: 1 });
   const heldDirectionRef = useRef(null);
-  const gameStateRef = useRef('start');
-  const mazeRef = useRef(maze);
-  const bonesRef = useRef(bones);
   const containerRef = useRef(null);
   const [fireworks, setFireworks] = useState([]);
   const [showSpawnAnimation, setShowSpawnAnimation] = useState(false);
   
+  // Input log of the run in progress, and the replay being watched (if any)
+  const recordingRef = useRef(null);
+  const [replay, setReplay] = useState(null);
+  const replayRef = useRef(null);
+  const [replayOwner, setReplayOwner] = useState(null); // { name, score } of the run being watched
+  const [lastInitials, setLastInitials] = useState(null);
+  const [replayNotice, setReplayNotice] = useState(null);
+  const replayFileInputRef = useRef(null);
+  
+  // While a replay is open the board shows the replayed game instead, and
+  // none of the live game's overlays apply
+  const view = replay ? replay.game : game;
+  const {
+    maze, socks, bones, catchers, lives, score, level,
+    specialItem, collectedSpecials, dogTreat, hasDogTreat,
+    couch: couchPosition,
+  } = view;
+  const gameState = replay ? 'replay' : view.gameState;
+  const catchersFrightened = view.frightenedTimer > 0;
+  const frightenedEnding = catchersFrightened && view.frightenedTimer <= FRIGHTENED_WARNING;
+  const couchTimeLeft = isInSafeZone(view)
+    ? Math.max(0, 1 - view.timers.couch / getCurrentLevelSettings(view).couchTimeLimit)
+    : null;
+  
   // Responsive sizing
-  const [cellSize, setCellSize] = useState(() => calculateCellSize());
+  const [viewport, setViewport] = useState(readViewport);
   const [isMobile, setIsMobile] = useState(() => typeof window !== 'undefined' && window.innerWidth <= 768);
-  
-  // Level system
-  const [level, setLevel] = useState(1);
-  const MAX_LEVEL = 3;
+  // Each level can have its own maze size, so cells are sized to fit the current one
+  const { width: mazeWidth, height: mazeHeight } = getMazeSize(maze);
+  const cellSize = calculateCellSize(viewport, mazeWidth, mazeHeight);
+  const boardWidth = mazeWidth * cellSize;
+  const boardHeight = mazeHeight * cellSize;
   
   // Final level dog treat challenge
-  const [dogTreat, setDogTreat] = useState(null); // { x, y }
-  const [hasDogTreat, setHasDogTreat] = useState(false); // Socks is carrying the treat
   const [showTreatMessage, setShowTreatMessage] = useState(false);
   
   // Secret level selector
   const [showLevelSelect, setShowLevelSelect] = useState(false);
   
+  // Level editor - the level being edited ({ id, level }) stays around
+  // while it is playtested, so the editor can pick up where it left off
+  const [customLevels, setCustomLevels] = useState(loadCustomLevels);
+  const [editor, setEditor] = useState(null);
+  const [showEditor, setShowEditor] = useState(false);
+  
+  // Level share codes - the link last made, and the code pasted on the start screen
+  const [shareLink, setShareLink] = useState(null);
+  const [shareCodeInput, setShareCodeInput] = useState('');
+  const [linkedShareCode] = useState(() =>
+    (typeof window === 'undefined' ? null : new URLSearchParams(window.location.search).get('level')));
+
+  // Settings - key bindings (see controls.js) and sound (see audio.js)
+  const [bindings, setBindings] = useState(loadBindings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [inputBuffering, setInputBuffering] = useState(loadInputBuffering);
+  const [audioSettings, setAudioSettingsState] = useState(loadAudioSettings);
+  const [hapticsSettings, setHapticsSettingsState] = useState(loadHapticsSettings);
+
+  // Background stars are random, so roll them once instead of on every render
+  const [stars] = useState(() => [...Array(50)].map(() => ({
+    left: `${Math.random() * 100}%`,
+    top: `${Math.random() * 100}%`,
+    width: `${Math.random() * 3 + 1}px`,
+    height: `${Math.random() * 3 + 1}px`,
+    color: ['#fff', '#ff00de', '#00ffff', '#ffff00'][Math.floor(Math.random() * 4)],
+    duration: `${Math.random() * 3 + 2}s`,
+    delay: `${Math.random() * 2}s`,
+  })));
+  
   // High score system
-  const [highScores, setHighScores] = useState(() => {
-    try {
-      const saved = localStorage.getItem('socksBoneHuntHighScores');
-      return saved ? JSON.parse(saved) : [];
-    } catch {
-      return [];
-    }
-  });
+  const [highScores, setHighScores] = useState(leaderboard.cached); // Every mode, best first (see highScores.js)
   const [showHighScoreEntry, setShowHighScoreEntry] = useState(false);
   const [pendingScore, setPendingScore] = useState(null);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const classicTopScores = getModeScores(highScores, 'classic').slice(0, START_SCREEN_SCORES);
   
-  // Check if score qualifies for high score board
-  const isHighScore = (newScore) => {
-    if (newScore === 0) return false;
-    if (highScores.length < 5) return true;
-    return newScore > highScores[highScores.length - 1].score;
-  };
+  // Fetch the table, which also sends any scores queued while offline
+  const refreshHighScores = useCallback(() => {
+    leaderboard.list().then(setHighScores).catch(e => console.warn('Could not load the leaderboard:', e));
+  }, []);
   
-  // Save high score to localStorage
-  const saveHighScore = (name, newScore) => {
-    const newEntry = { name, score: newScore, date: new Date().toISOString() };
-    const updated = [...highScores, newEntry]
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 5);
-    setHighScores(updated);
-    try {
-      localStorage.setItem('socksBoneHuntHighScores', JSON.stringify(updated));
-    } catch (e) {
-      console.warn('Could not save high scores:', e);
-    }
-  };
+  useEffect(() => {
+    refreshHighScores();
+    window.addEventListener('online', refreshHighScores);
+    return () => window.removeEventListener('online', refreshHighScores);
+  }, [refreshHighScores]);
+  
+  // Daily Bone Hunt - one shared seed and one scored attempt per date
+  const [dailyDate, setDailyDate] = useState(() => getDailyDate());
+  const [dailyScores, setDailyScores] = useState(() => loadDailyScores(getDailyDate()));
+  const [dailyPlayed, setDailyPlayed] = useState(() => hasPlayedDaily(getDailyDate()));
   
-  // Special items system
-  const [specialItem, setSpecialItem] = useState(null); // { type: 'drumstick'|'pizza'|'cookie'|'tennis'|'cheese', x, y }
-  const [collectedSpecials, setCollectedSpecials] = useState([]);
-  const [spawnedSpecials, setSpawnedSpecials] = useState([]); // Track which types have already spawned
-  const specialItemRef = useRef(null);
-  const [catchersFrozen, setCatchersFrozen] = useState(false); // Freeze catchers when special is caught
+  // The date may have rolled over while the tab was open
+  const refreshDaily = useCallback(() => {
+    const date = getDailyDate();
+    setDailyDate(date);
+    setDailyScores(loadDailyScores(date));
+    setDailyPlayed(hasPlayedDaily(date));
+  }, []);
   
-  // Safe zone - couch position (will be set during maze init)
-  const [couchPosition, setCouchPosition] = useState({ x: 10, y: 7 });
-  const COUCH_WIDTH = 5;
-  const COUCH_HEIGHT = 3;
+  // Timeouts for effects around the game, held while it's paused (see timers.js)
+  const [effectTimers] = useState(createTimerService);
   
-  // Level-based settings
-  const getLevelSettings = (lvl) => ({
-    catcherSpeed: Math.round(450 * Math.pow(0.85, lvl - 1)), // 15% faster each level
-    catcherCount: 2 + lvl, // 3, 4, 5 catchers
-    wallColor: ['#1e3a5f', '#3d1e5f', '#5f1e3a'][lvl - 1], // Blue, Purple, Red
-    floorColor: ['#0a1628', '#1a0a28', '#280a1a'][lvl - 1],
-  });
+  // The autosaved run, offered as "Continue" on the start screen
+  const [savedRun, setSavedRun] = useState(loadSavedRun);
+  
+  const saveCurrentRun = useCallback(() => {
+    saveRun(gameRef.current, recordingRef.current && finishRecording(recordingRef.current));
+    setSavedRun(loadSavedRun());
+  }, []);
+  
+  const qualifiesForHighScore = (mode, newScore) => {
+    if (mode === 'custom') return false; // Custom levels don't go on the score tables
+    return mode === 'daily'
+      ? isDailyHighScore(dailyScores, newScore) || isHighScore(highScores, mode, newScore)
+      : isHighScore(highScores, mode, newScore);
+  };
 
   // Load Tailwind CSS dynamically for standalone usage
   useEffect(() => {
@@ -1231,7 +2126,7 @@ export default function SocksGame() {
   // Handle window resize for responsive sizing
   useEffect(() => {
     const handleResize = () => {
-      setCellSize(calculateCellSize());
+      setViewport(readViewport());
       setIsMobile(window.innerWidth <= 768);
     };
     
@@ -1249,224 +2144,322 @@ export default function SocksGame() {
   }, []);
 
   // Keep refs in sync
-  useEffect(() => {
-    socksRef.current = { x: socks.x, y: socks.y };
-  }, [socks.x, socks.y]);
-
   useEffect(() => {
     heldDirectionRef.current = heldDirection;
   }, [heldDirection]);
 
-  useEffect(() => {
-    gameStateRef.current = gameState;
-  }, [gameState]);
-
-  useEffect(() => {
-    mazeRef.current = maze;
-  }, [maze]);
-
-  useEffect(() => {
-    bonesRef.current = bones;
-  }, [bones]);
-
-  // Keep special item ref in sync
-  useEffect(() => {
-    specialItemRef.current = specialItem;
-  }, [specialItem]);
-
-  // Initialize catchers based on level
-  const createCatchers = useCallback((lvl) => {
-    const settings = getLevelSettings(lvl);
-    const catcherPositions = [
-      { x: MAZE_WIDTH - 2, y: 1 },
-      { x: 1, y: MAZE_HEIGHT - 2 },
-      { x: MAZE_WIDTH - 2, y: MAZE_HEIGHT - 2 },
-      { x: Math.floor(MAZE_WIDTH / 2), y: 1 },
-      { x: Math.floor(MAZE_WIDTH / 2), y: MAZE_HEIGHT - 2 },
-    ];
-    return catcherPositions.slice(0, settings.catcherCount).map((pos, i) => ({
-      ...pos,
-      id: i + 1,
-    }));
-  }, []);
+  const playSpawnAnimation = () => {
+    setShowSpawnAnimation(true);
+    effectTimers.setTimeout(() => setShowSpawnAnimation(false), 1500);
+  };
 
-  const startLevel = useCallback((lvl) => {
-    const newMaze = generateMaze();
-    
-    // Carve out couch area in the center
-    const couchX = Math.floor(MAZE_WIDTH / 2) - 2;
-    const couchY = Math.floor(MAZE_HEIGHT / 2) - 1;
-    setCouchPosition({ x: couchX, y: couchY });
-    
-    // Clear the couch area (make it walkable)
-    for (let dy = 0; dy < 3; dy++) {
-      for (let dx = 0; dx < 5; dx++) {
-        if (couchY + dy < MAZE_HEIGHT && couchX + dx < MAZE_WIDTH) {
-          newMaze[couchY + dy][couchX + dx] = 0;
+  // Turn engine events into visual effects and overlays
+  const handleGameEvents = (events) => {
+    for (const event of events) {
+      switch (event.type) {
+        case 'levelStart':
+          saveCurrentRun();
+          setFireworks([]);
+          setShowTreatMessage(false);
+          playSpawnAnimation();
+          break;
+        case 'socksRespawned':
+          playSpawnAnimation();
+          break;
+        case 'boneCollected':
+          playSound('bone');
+          vibrate('bone');
+          break;
+        case 'treatCollected':
+          playSound('treat');
+          break;
+        case 'caught':
+          playSound('caught');
+          vibrate('caught');
+          break;
+        case 'levelComplete':
+          playSound('levelComplete');
+          vibrate('levelComplete');
+          setFireworks(createFireworks(20, WIN_COLORS, boardWidth, boardHeight));
+          break;
+        case 'treatSpawned':
+          setShowTreatMessage(true);
+          break;
+        case 'specialCollected': {
+          playSound('special');
+          const burst = createFireworks(12, WIN_COLORS.slice(0, 6), boardWidth, boardHeight);
+          setFireworks(burst);
+          effectTimers.setTimeout(() => setFireworks([]), 1000);
+          break;
+        }
+        case 'catcherEaten': {
+          // Mini fireworks where the frightened catcher was eaten
+          playSound('catcherEaten');
+          vibrate('catcherEaten');
+          const colors = ['#87CEEB', '#00BFFF', '#1E90FF'];
+          const miniFireworks = [];
+          for (let i = 0; i < 5; i++) {
+            miniFireworks.push({
+              id: Date.now() + Math.random(),
+              x: event.x * cellSize + cellSize / 2,
+              y: event.y * cellSize + cellSize / 2,
+              color: colors[Math.floor(Math.random() * colors.length)],
+            });
+          }
+          setFireworks(prev => [...prev, ...miniFireworks]);
+          effectTimers.setTimeout(() => setFireworks(prev => prev.filter(f => !miniFireworks.includes(f))), 800);
+          break;
         }
+        case 'won':
+          // Lots of fireworks for the final win!
+          playSound('fireworks');
+          clearSavedRun();
+          setSavedRun(null);
+          setFireworks(createFireworks(30, WIN_COLORS, boardWidth, boardHeight));
+          if (qualifiesForHighScore(event.mode, event.score)) {
+            setPendingScore({
+              score: event.score, type: 'won', mode: event.mode, date: dailyDate,
+              stats: getRunStats(gameRef.current),
+              replay: recordingRef.current && finishRecording(recordingRef.current),
+            });
+            setShowHighScoreEntry(true);
+          }
+          break;
+        case 'lost':
+          playSound('caught');
+          vibrate('caught');
+          clearSavedRun();
+          setSavedRun(null);
+          if (qualifiesForHighScore(event.mode, event.score)) {
+            setPendingScore({
+              score: event.score, type: 'lost', mode: event.mode, date: dailyDate,
+              stats: getRunStats(gameRef.current),
+              replay: recordingRef.current && finishRecording(recordingRef.current),
+            });
+            setShowHighScoreEntry(true);
+          }
+          break;
+        default:
+          break;
       }
     }
-    // Also ensure paths leading to the couch
-    if (couchY > 0) newMaze[couchY - 1][couchX + 2] = 0;
-    if (couchY + 3 < MAZE_HEIGHT) newMaze[couchY + 3][couchX + 2] = 0;
-    if (couchX > 0) newMaze[couchY + 1][couchX - 1] = 0;
-    if (couchX + 5 < MAZE_WIDTH) newMaze[couchY + 1][couchX + 5] = 0;
-    
-    setMaze(newMaze);
-    setSocks({ x: 1, y: 1, direction: 'right' });
-    
-    // Place bones but avoid the couch area and Place label below it
-    const newBones = placeBones(newMaze).filter(bone => {
-      const inCouch = bone.x >= couchX && bone.x < couchX + 5 &&
-                      bone.y >= couchY && bone.y < couchY + 3;
-      // Also exclude the area below the couch where "Place" label appears
-      const inPlaceLabel = bone.x >= couchX + 1 && bone.x < couchX + 4 &&
-                           bone.y === couchY + 3;
-      return !inCouch && !inPlaceLabel;
-    });
-    setBones(newBones);
-    
-    setCatchers(createCatchers(lvl));
-    setGameState('playing');
-    setHeldDirection(null);
-    setFireworks([]);
-    setSpecialItem(null);
-    setSpawnedSpecials([]);
-    setDogTreat(null);
-    setHasDogTreat(false);
-    setShowTreatMessage(false);
-    setCatchersFrozen(false);
-    
-    // Show spawn animation
-    setShowSpawnAnimation(true);
-    setTimeout(() => setShowSpawnAnimation(false), 1500);
-  }, [createCatchers]);
-
-  // Handle game won - check for high score
-  const handleGameWon = useCallback((finalScore) => {
-    if (isHighScore(finalScore)) {
-      setPendingScore({ score: finalScore, type: 'won' });
-      setShowHighScoreEntry(true);
-      setGameState('paused'); // Pause game during high score entry
-    } else {
-      setGameState('won');
-    }
-  }, [isHighScore]);
-  
-  // Handle game lost - check for high score  
-  const handleGameLost = useCallback((finalScore) => {
-    if (isHighScore(finalScore)) {
-      setPendingScore({ score: finalScore, type: 'lost' });
-      setShowHighScoreEntry(true);
-      setGameState('paused'); // Pause game during high score entry
-    } else {
-      setGameState('lost');
+  };
+
+  const gameEventsRef = useRef(handleGameEvents);
+  useEffect(() => {
+    gameEventsRef.current = handleGameEvents;
+  });
+
+  // Commit a new engine state and react to whatever it reported
+  const applyGame = useCallback((next) => {
+    if (next === gameRef.current) return;
+    gameRef.current = next;
+    setGame(next);
+    if (next.gameState !== 'playing') {
+      setHeldDirection(null); // Stop movement
     }
-  }, [isHighScore]);
-  
-  // Handle high score submission
-  const handleHighScoreSubmit = useCallback((name) => {
-    if (pendingScore) {
-      saveHighScore(name, pendingScore.score);
-      setShowHighScoreEntry(false);
-      // Show the appropriate end screen briefly, then go to start
-      // Actually, per requirements, go directly to start screen
-      setGameState('start');
-      setPendingScore(null);
-      // Reset game state for next play
-      setLevel(1);
-      setLives(3);
-      setScore(0);
-      setCollectedSpecials([]);
+    if (next.events.length > 0) {
+      gameEventsRef.current(next.events);
     }
-  }, [pendingScore, saveHighScore]);
+  }, []);
 
+  // Start a new run and begin recording its inputs. Custom level runs
+  // aren't recorded - a replay couldn't rebuild the level.
+  const startRun = useCallback((options) => {
+    // Input buffering goes in the run's config, so the recording replays with it
+    const current = gameRef.current;
+    const next = engine.startGame({ ...current, config: { ...current.config, inputBuffering } }, options);
+    recordingRef.current = next.customLevel ? null : createRecording(next);
+    applyGame(next);
+  }, [applyGame, inputBuffering]);
+
+  // Also "play again" - a custom level is replayed rather than starting the campaign
   const initGame = useCallback(() => {
-    setLevel(1);
-    setLives(3);
-    setScore(0);
-    setCollectedSpecials([]);
-    startLevel(1);
-  }, [startLevel]);
+    const { customLevel } = gameRef.current;
+    startRun(customLevel ? { customLevel } : undefined);
+  }, [startRun]);
 
   const nextLevel = useCallback(() => {
-    const newLevel = level + 1;
-    setLevel(newLevel);
-    startLevel(newLevel);
-  }, [level, startLevel]);
+    applyGame(engine.nextLevel(gameRef.current));
+  }, [applyGame]);
 
   // For testing - start directly at a specific level
   const startAtLevel = useCallback((lvl) => {
-    setLevel(lvl);
-    setLives(3);
-    setScore(0);
-    setCollectedSpecials([]);
     setShowLevelSelect(false);
-    startLevel(lvl);
-  }, [startLevel]);
+    startRun({ level: lvl });
+  }, [startRun]);
+
+  const updateBindings = useCallback((next) => {
+    setBindings(next);
+    saveBindings(next);
+  }, []);
+
+  const updateInputBuffering = useCallback((enabled) => {
+    setInputBuffering(enabled);
+    saveInputBuffering(enabled);
+  }, []);
+
+  const updateAudioSettings = useCallback((next) => {
+    setAudioSettingsState(next);
+    setAudioSettings(next);
+    saveAudioSettings(next);
+  }, []);
+
+  const updateHapticsSettings = useCallback((next) => {
+    setHapticsSettingsState(next);
+    saveHapticsSettings(next);
+    vibrate('bone', next); // A taste of the new strength
+  }, []);
 
   const togglePause = useCallback(() => {
-    if (gameState === 'playing') {
-      setGameState('paused');
-      setHeldDirection(null);
-    } else if (gameState === 'paused') {
-      setGameState('playing');
+    applyGame(engine.togglePause(gameRef.current));
+    if (gameRef.current.gameState === 'paused') saveCurrentRun();
+  }, [applyGame, saveCurrentRun]);
+
+  // Pick the saved run back up, paused so the player can get ready
+  const continueRun = useCallback(() => {
+    const saved = loadSavedRun();
+    setSavedRun(saved);
+    if (!saved) return;
+    recordingRef.current = saved.recording && finishRecording(saved.recording);
+    // A daily run scores on its own date's table, even after midnight
+    const date = saved.game.mode === 'daily' && getDailySeedDate(saved.game.seed);
+    if (date) {
+      setDailyDate(date);
+      setDailyScores(loadDailyScores(date));
     }
-  }, [gameState]);
+    applyGame({ ...saved.game, gameState: 'paused' });
+  }, [applyGame]);
+
+  const startDaily = useCallback(() => {
+    const date = getDailyDate();
+    if (hasPlayedDaily(date)) {
+      refreshDaily();
+      return;
+    }
+    markDailyPlayed(date);
+    setDailyDate(date);
+    setDailyScores(loadDailyScores(date));
+    setDailyPlayed(true);
+    startRun({ seed: getDailySeed(date), mode: 'daily' });
+  }, [startRun, refreshDaily]);
 
   const resetGame = useCallback(() => {
-    setGameState('start');
-    setLevel(1);
-    setLives(3);
-    setScore(0);
-    setCollectedSpecials([]);
-    setHeldDirection(null);
+    applyGame(engine.resetGame(gameRef.current));
     setFireworks([]);
-    setSpecialItem(null);
-    setSpawnedSpecials([]);
-    setDogTreat(null);
-    setHasDogTreat(false);
     setShowTreatMessage(false);
-    setCatchersFrozen(false);
+    refreshDaily();
+  }, [applyGame, refreshDaily]);
+
+  // Open the editor on a saved level, or on a new one (or, with no
+  // argument, on whatever was being edited last)
+  const openEditor = useCallback((entry) => {
+    resetGame();
+    setShowLevelSelect(false);
+    if (entry) setEditor(entry);
+    else setEditor(current => current ?? { id: createCustomLevelId(), level: createBlankLevel() });
+    setShowEditor(true);
+  }, [resetGame]);
+
+  const closeEditor = useCallback(() => {
+    setShowEditor(false);
+    setEditor(null);
+  }, []);
+
+  const saveEditorLevel = useCallback(() => {
+    if (editor) setCustomLevels(saveCustomLevel(editor));
+  }, [editor]);
+
+  const playtestLevel = useCallback((settings) => {
+    setShowEditor(false);
+    startRun({ customLevel: settings });
+  }, [startRun]);
+
+  const playCustomLevel = useCallback((entry) => {
+    setEditor(null);
+    startRun({ customLevel: parseLevel(entry.level) });
+  }, [startRun]);
+
+  const removeCustomLevel = useCallback((id) => {
+    setCustomLevels(deleteCustomLevel(id));
+  }, []);
+
+  // Make a link that opens straight into a level, and try to copy it
+  const shareLevel = useCallback((share) => {
+    const url = `${window.location.origin}${window.location.pathname}?level=${encodeShareCode(share)}`;
+    setShareLink(url);
+    navigator.clipboard?.writeText(url).catch(() => {});
   }, []);
 
-    // Handle keyboard input
+  // The current level - a custom one as it is, a campaign one by seed and number
+  const shareCurrentLevel = useCallback(() => {
+    const current = gameRef.current;
+    shareLevel(current.customLevel
+      ? { type: 'custom', settings: current.customLevel }
+      : { type: 'seeded', seed: current.seed, level: current.level });
+  }, [shareLevel]);
+
+  // Handle high score submission
+  const handleHighScoreSubmit = (name) => {
+    if (pendingScore) {
+      const record = createScoreRecord({
+        name, score: pendingScore.score, mode: pendingScore.mode, outcome: pendingScore.type,
+        stats: pendingScore.stats, replay: pendingScore.replay,
+      });
+      if (pendingScore.mode === 'daily' && isDailyHighScore(dailyScores, pendingScore.score)) {
+        const { entries, saved, droppedReplays } = saveDailyScore(pendingScore.date, record);
+        setDailyScores(entries);
+        if (!saved) showReplayNotice('Daily score not saved: browser storage is full');
+        else if (droppedReplays > 0) showReplayNotice(droppedReplaysNotice(droppedReplays));
+      }
+      if (isHighScore(highScores, pendingScore.mode, pendingScore.score)) {
+        leaderboard.submit(record)
+          .then(({ entries, queued, droppedReplays }) => {
+            setHighScores(entries);
+            if (queued) showReplayNotice('Leaderboard is offline - your score will be sent later');
+            else if (droppedReplays > 0) showReplayNotice(droppedReplaysNotice(droppedReplays));
+          })
+          .catch(e => showReplayNotice(`Score not saved: ${e.message}`));
+      }
+      setLastInitials(name);
+      setShowHighScoreEntry(false);
+      setPendingScore(null);
+      // Go directly to the start screen and reset for the next play
+      resetGame();
+    }
+  };
+
+  // Dismiss treat message and resume game
+  const dismissTreatMessage = useCallback(() => {
+    setShowTreatMessage(false);
+    applyGame(engine.resumeGame(gameRef.current));
+  }, [applyGame]);
+
+  const resumeAfterCatch = useCallback(() => {
+    applyGame(engine.respawnAfterCatch(gameRef.current));
+  }, [applyGame]);
+
+  // Handle keyboard input - movement keys hold a direction until let go
   useEffect(() => {
+    if (showSettings) return;
+
     const handleKeyDown = (e) => {
-      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+      if (isTextField(e.target)) return;
+      const dir = getKeyDirection(bindings, e.code);
+      if (dir) {
         e.preventDefault();
         e.stopPropagation();
-        
-        let dir = null;
-        switch (e.key) {
-          case 'ArrowUp': dir = { dx: 0, dy: -1 }; break;
-          case 'ArrowDown': dir = { dx: 0, dy: 1 }; break;
-          case 'ArrowLeft': dir = { dx: -1, dy: 0 }; break;
-          case 'ArrowRight': dir = { dx: 1, dy: 0 }; break;
-          default: break;
-        }
-        
-        if (dir) {
-          setHeldDirection(dir);
-        }
+        setHeldDirection(dir);
       }
     };
     
     const handleKeyUp = (e) => {
-      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
-        e.preventDefault();
-        e.stopPropagation();
-      }
-      
-      const keyToDir = {
-        'ArrowUp': { dx: 0, dy: -1 },
-        'ArrowDown': { dx: 0, dy: 1 },
-        'ArrowLeft': { dx: -1, dy: 0 },
-        'ArrowRight': { dx: 1, dy: 0 },
-      };
-      
-      const releasedDir = keyToDir[e.key];
-      if (releasedDir && heldDirectionRef.current &&
+      if (isTextField(e.target)) return;
+      const releasedDir = getKeyDirection(bindings, e.code);
+      if (!releasedDir) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (heldDirectionRef.current &&
           releasedDir.dx === heldDirectionRef.current.dx && 
           releasedDir.dy === heldDirectionRef.current.dy) {
         setHeldDirection(null);
@@ -1479,7 +2472,7 @@ export default function SocksGame() {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, []);
+  }, [bindings, showSettings]);
 
   // Close level selector when clicking outside or pressing Escape
   useEffect(() => {
@@ -1503,461 +2496,271 @@ export default function SocksGame() {
     };
   }, [showLevelSelect]);
 
-  // Handle pause key (Escape or P)
+  // Pause, restart, level select and mute keys
   useEffect(() => {
-    const handlePauseKey = (e) => {
-      if (e.key === 'Escape' || e.key === 'p' || e.key === 'P') {
-        if (gameState === 'playing' || gameState === 'paused') {
-          togglePause();
-        }
-      }
-    };
-    
-    window.addEventListener('keydown', handlePauseKey);
-    return () => window.removeEventListener('keydown', handlePauseKey);
-  }, [gameState, togglePause]);
+    if (showSettings) return;
 
-  // Continuous movement game loop - runs constantly, checks refs
-  useEffect(() => {
-    let lastMoveTime = 0;
-    const moveInterval = 80; // ms between moves
-    
-    const gameLoop = (timestamp) => {
-      if (gameStateRef.current === 'playing' && heldDirectionRef.current) {
-        if (timestamp - lastMoveTime >= moveInterval) {
-          const dir = heldDirectionRef.current;
-          const currentSocks = socksRef.current;
-          const currentMaze = mazeRef.current;
-          
-          const newX = currentSocks.x + dir.dx;
-          const newY = currentSocks.y + dir.dy;
-          
-          // Check if can move
-          if (newX >= 0 && newX < MAZE_WIDTH && newY >= 0 && newY < MAZE_HEIGHT && currentMaze[newY][newX] === 0) {
-            const direction = dir.dx > 0 ? 'right' : dir.dx < 0 ? 'left' : undefined;
-            
-            setSocks(prev => {
-              const nextX = prev.x + dir.dx;
-              const nextY = prev.y + dir.dy;
-              if (nextX >= 0 && nextX < MAZE_WIDTH && nextY >= 0 && nextY < MAZE_HEIGHT && currentMaze[nextY][nextX] === 0) {
-                return { x: nextX, y: nextY, direction: direction || prev.direction };
-              }
-              return prev;
-            });
-          }
-          
-          lastMoveTime = timestamp;
-        }
+    const handleActionKey = (e) => {
+      if (isTextField(e.target) || showHighScoreEntry) return;
+      const action = getKeyAction(bindings, e.code);
+      if (action === 'pause' && (gameState === 'playing' || gameState === 'paused')) {
+        togglePause();
+      } else if (action === 'restart' && gameState !== 'start' && gameState !== 'replay') {
+        initGame();
+      } else if (action === 'levelSelect') {
+        setShowLevelSelect(show => !show);
+      } else if (action === 'mute') {
+        updateAudioSettings({ ...audioSettings, muted: !audioSettings.muted });
       }
-      
-      requestAnimationFrame(gameLoop);
     };
     
-    const frameId = requestAnimationFrame(gameLoop);
-    return () => cancelAnimationFrame(frameId);
-  }, []);
-
-  // Check for bone collection separately
-  useEffect(() => {
-    if (gameState !== 'playing') return;
-    
-    const boneIndex = bones.findIndex(b => b.x === socks.x && b.y === socks.y);
-    if (boneIndex !== -1) {
-      const newBones = [...bones];
-      newBones.splice(boneIndex, 1);
-      setBones(newBones);
-      setScore(s => s + 10);
-      
-      if (newBones.length === 0) {
-        setHeldDirection(null);
-        
-        if (level < MAX_LEVEL) {
-          // Levels 1 and 2: Show level complete
-          setGameState('levelComplete');
-          const colors = ['#FFD700', '#FF6B6B', '#4ECDC4', '#FF69B4', '#00FF00', '#FF4500', '#9B59B6', '#3498DB'];
-          const winFireworks = [];
-          for (let i = 0; i < 20; i++) {
-            winFireworks.push({
-              id: Date.now() + i,
-              x: Math.random() * (MAZE_WIDTH * cellSize - 40) + 20,
-              y: Math.random() * (MAZE_HEIGHT * cellSize - 40) + 20,
-              color: colors[Math.floor(Math.random() * colors.length)],
-            });
-          }
-          setFireworks(winFireworks);
-        } else {
-          // Level 3: Spawn dog treat for final challenge
-          // Find valid position for dog treat
-          const validPositions = [];
-          for (let y = 1; y < MAZE_HEIGHT - 1; y++) {
-            for (let x = 1; x < MAZE_WIDTH - 1; x++) {
-              if (maze[y][x] === 0) {
-                const distFromSocks = Math.abs(x - socks.x) + Math.abs(y - socks.y);
-                const onCouch = x >= couchPosition.x && x < couchPosition.x + COUCH_WIDTH &&
-                               y >= couchPosition.y && y < couchPosition.y + COUCH_HEIGHT;
-                if (distFromSocks > 5 && !onCouch) {
-                  validPositions.push({ x, y });
-                }
-              }
-            }
-          }
-          if (validPositions.length > 0) {
-            const pos = validPositions[Math.floor(Math.random() * validPositions.length)];
-            setDogTreat({ x: pos.x, y: pos.y });
-            setShowTreatMessage(true);
-            setGameState('paused'); // Pause for the treat message
-          }
-        }
-      }
-    }
-  }, [socks.x, socks.y, bones, gameState, level, maze, couchPosition]);
-
-  // Dismiss treat message and resume game
-  const dismissTreatMessage = useCallback(() => {
-    setShowTreatMessage(false);
-    setGameState('playing');
-  }, []);
+    window.addEventListener('keydown', handleActionKey);
+    return () => window.removeEventListener('keydown', handleActionKey);
+  }, [bindings, showSettings, showHighScoreEntry, gameState, togglePause, initGame, audioSettings, updateAudioSettings]);
 
-  // Check for dog treat pickup (Level 3)
+  // Controller input - the d-pad/left stick steers, Start pauses and A
+  // confirms whatever screen is up (HighScoreEntry handles its own)
   useEffect(() => {
-    if (gameState !== 'playing' || !dogTreat || hasDogTreat) return;
-    
-    if (socks.x === dogTreat.x && socks.y === dogTreat.y) {
-      setHasDogTreat(true);
-      setDogTreat(null);
-      setScore(s => s + 500);
-    }
-  }, [socks.x, socks.y, dogTreat, hasDogTreat, gameState]);
+    if (showSettings) return;
 
-  // Check for treat delivery to couch (Level 3 win condition)
-  useEffect(() => {
-    if (gameState !== 'playing' || !hasDogTreat) return;
-    
-    const onCouch = socks.x >= couchPosition.x && socks.x < couchPosition.x + COUCH_WIDTH &&
-                   socks.y >= couchPosition.y && socks.y < couchPosition.y + COUCH_HEIGHT;
-    
-    if (onCouch) {
-      setHeldDirection(null);
-      setHasDogTreat(false);
-      // Spawn lots of fireworks for final win!
-      const colors = ['#FFD700', '#FF6B6B', '#4ECDC4', '#FF69B4', '#00FF00', '#FF4500', '#9B59B6', '#3498DB'];
-      const winFireworks = [];
-      for (let i = 0; i < 30; i++) {
-        winFireworks.push({
-          id: Date.now() + i,
-          x: Math.random() * (MAZE_WIDTH * cellSize - 40) + 20,
-          y: Math.random() * (MAZE_HEIGHT * cellSize - 40) + 20,
-          color: colors[Math.floor(Math.random() * colors.length)],
-        });
+    return subscribeGamepad(({ type, direction, button }) => {
+      if (type === 'direction') {
+        setHeldDirection(direction);
+      } else if (button === 'start' && (gameState === 'playing' || gameState === 'paused')) {
+        togglePause();
+      } else if (button === 'a' && !showHighScoreEntry) {
+        if (gameState === 'start' && !showEditor && !showLeaderboard) initGame();
+        else if (gameState === 'levelComplete') nextLevel();
+        else if (gameState === 'caught') resumeAfterCatch();
+        else if (gameState === 'won' || gameState === 'lost') initGame();
       }
-      setFireworks(winFireworks);
-      // Check for high score (score is current score from state)
-      handleGameWon(score);
-    }
-  }, [socks.x, socks.y, hasDogTreat, gameState, couchPosition, score, handleGameWon]);
+    });
+  }, [showSettings, showHighScoreEntry, showEditor, showLeaderboard, gameState, togglePause, initGame, nextLevel, resumeAfterCatch]);
 
-  // Move catchers independently on their own timer (speed based on level)
+  // Browsers only allow sound after the player has clicked or pressed something
   useEffect(() => {
-    if (gameState !== 'playing' || catchersFrozen) return;
-    
-    const settings = getLevelSettings(level);
-    
-    const interval = setInterval(() => {
-      setCatchers(prevCatchers => {
-        return prevCatchers.map(catcher => {
-          const targetX = socksRef.current.x;
-          const targetY = socksRef.current.y;
-          
-          // Possible moves
-          const moves = [];
-          if (catcher.x + 1 >= 0 && catcher.x + 1 < MAZE_WIDTH && maze[catcher.y]?.[catcher.x + 1] === 0) {
-            moves.push({ x: catcher.x + 1, y: catcher.y });
-          }
-          if (catcher.x - 1 >= 0 && catcher.x - 1 < MAZE_WIDTH && maze[catcher.y]?.[catcher.x - 1] === 0) {
-            moves.push({ x: catcher.x - 1, y: catcher.y });
-          }
-          if (catcher.y + 1 >= 0 && catcher.y + 1 < MAZE_HEIGHT && maze[catcher.y + 1]?.[catcher.x] === 0) {
-            moves.push({ x: catcher.x, y: catcher.y + 1 });
-          }
-          if (catcher.y - 1 >= 0 && catcher.y - 1 < MAZE_HEIGHT && maze[catcher.y - 1]?.[catcher.x] === 0) {
-            moves.push({ x: catcher.x, y: catcher.y - 1 });
-          }
-          
-          if (moves.length === 0) return catcher;
-          
-          // 40% chance to move toward Socks, 60% random
-          if (Math.random() < 0.4) {
-            moves.sort((a, b) => {
-              const distA = Math.abs(a.x - targetX) + Math.abs(a.y - targetY);
-              const distB = Math.abs(b.x - targetX) + Math.abs(b.y - targetY);
-              return distA - distB;
-            });
-            return { ...catcher, x: moves[0].x, y: moves[0].y };
-          } else {
-            const randomMove = moves[Math.floor(Math.random() * moves.length)];
-            return { ...catcher, x: randomMove.x, y: randomMove.y };
-          }
-        });
-      });
-    }, settings.catcherSpeed);
-    
-    return () => clearInterval(interval);
-  }, [gameState, maze, level, catchersFrozen]);
-
-  // Find a valid random spawn position for catchers
-  const findValidCatcherSpawn = useCallback(() => {
-    const validPositions = [];
-    for (let y = 0; y < MAZE_HEIGHT; y++) {
-      for (let x = 0; x < MAZE_WIDTH; x++) {
-        if (maze[y]?.[x] === 0) {
-          // Not too close to Socks
-          const distFromSocks = Math.abs(x - socksRef.current.x) + Math.abs(y - socksRef.current.y);
-          // Not on the couch
-          const onCouch = x >= couchPosition.x && x < couchPosition.x + COUCH_WIDTH &&
-                         y >= couchPosition.y && y < couchPosition.y + COUCH_HEIGHT;
-          // Not at spawn point
-          const atSpawn = x === 1 && y === 1;
-          if (distFromSocks > 5 && !onCouch && !atSpawn) {
-            validPositions.push({ x, y });
-          }
-        }
-      }
+    window.addEventListener('pointerdown', unlockAudio);
+    window.addEventListener('keydown', unlockAudio);
+    return () => {
+      window.removeEventListener('pointerdown', unlockAudio);
+      window.removeEventListener('keydown', unlockAudio);
+    };
+  }, []);
+
+  // Level music plays while the game does, in time with the catchers
+  const musicTempo = getCurrentLevelSettings(view).catcherSpeed;
+  useEffect(() => {
+    if (gameState !== 'playing') return;
+    startMusic(level, musicTempo);
+    return stopMusic;
+  }, [gameState, level, musicTempo]);
+
+  const updateReplay = useCallback((next) => {
+    replayRef.current = next;
+    setReplay(next);
+  }, []);
+
+  const openReplay = useCallback((recording, owner = {}) => {
+    if (!isReplayCompatible(recording)) return;
+    setReplayOwner({ name: owner.name ?? null, score: owner.score });
+    updateReplay(startReplay(recording));
+  }, [updateReplay]);
+
+  const closeReplay = useCallback(() => {
+    updateReplay(null);
+  }, [updateReplay]);
+
+  const showReplayNotice = useCallback((message) => {
+    setReplayNotice(message);
+    setTimeout(() => setReplayNotice(current => (current === message ? null : current)), 4000);
+  }, []);
+
+  // Leaderboard entries may have to fetch their replay first
+  const watchScoreReplay = useCallback((entry) => {
+    leaderboard.replay(entry)
+      .then(recording => openReplay(recording, entry))
+      .catch(e => showReplayNotice(`Replay not available: ${e.message}`));
+  }, [openReplay, showReplayNotice]);
+
+  // Start the level in a share code, if it checks out
+  const openShareCode = useCallback((code) => {
+    let share;
+    try {
+      share = decodeShareCode(code);
+    } catch (e) {
+      showReplayNotice(e.message);
+      return;
     }
-    if (validPositions.length > 0) {
-      return validPositions[Math.floor(Math.random() * validPositions.length)];
+    setEditor(null);
+    setShowEditor(false);
+    if (share.type === 'custom') {
+      startRun({ customLevel: share.settings });
+    } else {
+      startRun({ seed: share.seed, level: share.level });
     }
-    return { x: MAZE_WIDTH - 2, y: MAZE_HEIGHT - 2 }; // Fallback
-  }, [maze, couchPosition]);
+  }, [startRun, showReplayNotice]);
 
-  // Check collision with catchers (but not in safe zone)
+  // Links made by shareLevel() carry the code as ?level=... - it is taken
+  // off the address so reloading goes back to the start screen
   useEffect(() => {
-    if (gameState !== 'playing') return;
-    
-    // Check if Socks is in the safe zone (couch area)
-    const inSafeZone = socks.x >= couchPosition.x && socks.x < couchPosition.x + COUCH_WIDTH &&
-                       socks.y >= couchPosition.y && socks.y < couchPosition.y + COUCH_HEIGHT;
-    
-    if (inSafeZone) return; // Socks is safe on the couch!
-    
-    const caughtCatcher = catchers.find(c => c.x === socks.x && c.y === socks.y);
-    
-    if (caughtCatcher) {
-      if (catchersFrozen) {
-        // Eat the frozen catcher!
-        setScore(s => s + 1000);
-        
-        // Remove the eaten catcher
-        const catcherId = caughtCatcher.id;
-        setCatchers(prev => prev.filter(c => c.id !== catcherId));
-        
-        // Spawn mini fireworks for eating
-        const colors = ['#87CEEB', '#00BFFF', '#1E90FF'];
-        const miniFireworks = [];
-        for (let i = 0; i < 5; i++) {
-          miniFireworks.push({
-            id: Date.now() + i + 1000,
-            x: socks.x * cellSize + cellSize / 2,
-            y: socks.y * cellSize + cellSize / 2,
-            color: colors[Math.floor(Math.random() * colors.length)],
-          });
-        }
-        setFireworks(prev => [...prev, ...miniFireworks]);
-        setTimeout(() => setFireworks(prev => prev.filter(f => !miniFireworks.find(m => m.id === f.id))), 800);
-        
-        // Respawn the catcher after 4 seconds
-        setTimeout(() => {
-          const newPos = findValidCatcherSpawn();
-          setCatchers(prev => [...prev, { id: Date.now(), x: newPos.x, y: newPos.y }]);
-        }, 4000);
-      } else {
-        // Normal catch - Socks loses a life
-        setHeldDirection(null); // Stop movement
-        const newLives = lives - 1;
-        setLives(newLives);
-        
-        if (newLives <= 0) {
-          handleGameLost(score);
-        } else {
-          setGameState('caught');
-        }
-      }
+    if (!linkedShareCode) return;
+    const params = new URLSearchParams(window.location.search);
+    params.delete('level');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    const timer = setTimeout(() => openShareCode(linkedShareCode), 0);
+    return () => clearTimeout(timer);
+  }, [linkedShareCode, openShareCode]);
+
+  // Load a replay file picked or dropped by the player. It is replayed in
+  // full while parsing, so only files that check out get opened.
+  const loadReplayFile = useCallback((file) => {
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const { recording, name, score } = parseReplayFile(text);
+        openReplay(recording, { name, score });
+      })
+      .catch(e => showReplayNotice(e.message));
+  }, [openReplay, showReplayNotice]);
+
+  const saveReplayFile = useCallback(() => {
+    const current = replayRef.current;
+    if (current) {
+      // Watching a replay - pass it on as it was loaded
+      const score = replayOwner?.score ?? advanceReplay(current, current.recording.ticks).game.score;
+      downloadReplayFile(createReplayFile(current.recording, { name: replayOwner?.name ?? null, score }));
+    } else if (recordingRef.current) {
+      downloadReplayFile(createReplayFile(finishRecording(recordingRef.current), {
+        name: lastInitials,
+        score: gameRef.current.score,
+      }));
     }
-  }, [socks, catchers, lives, gameState, couchPosition, catchersFrozen, cellSize, findValidCatcherSpawn, score, handleGameLost]);
+  }, [replayOwner, lastInitials]);
 
-  const resumeAfterCatch = useCallback(() => {
-    setSocks({ x: 1, y: 1, direction: 'right' });
-    setCatchers(createCatchers(level));
-    setGameState('playing');
-    
-    // Show spawn animation
-    setShowSpawnAnimation(true);
-    setTimeout(() => setShowSpawnAnimation(false), 1500);
-  }, [level, createCatchers]);
-
-  // Spawn fireworks
-  const spawnFireworks = useCallback(() => {
-    const colors = ['#FFD700', '#FF6B6B', '#4ECDC4', '#FF69B4', '#00FF00', '#FF4500'];
-    const newFireworks = [];
-    for (let i = 0; i < 12; i++) {
-      newFireworks.push({
-        id: Date.now() + i,
-        x: Math.random() * (MAZE_WIDTH * cellSize - 40) + 20,
-        y: Math.random() * (MAZE_HEIGHT * cellSize - 40) + 20,
-        color: colors[Math.floor(Math.random() * colors.length)],
-      });
+  // Replay files can be dropped on the maze once a run is over
+  const canDropReplay = gameState === 'won' || gameState === 'lost' || gameState === 'replay';
+  const handleReplayDragOver = (e) => {
+    if (!canDropReplay) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+  const handleReplayDrop = (e) => {
+    if (!canDropReplay) return;
+    e.preventDefault();
+    loadReplayFile(e.dataTransfer.files[0]);
+  };
+
+  const toggleReplayPlaying = useCallback(() => {
+    const current = replayRef.current;
+    if (isReplayFinished(current)) {
+      // Watch again from the top
+      updateReplay({ ...seekReplay(current, 0), playing: true });
+    } else {
+      updateReplay({ ...current, playing: !current.playing });
     }
-    setFireworks(newFireworks);
-    setTimeout(() => setFireworks([]), 1000);
-  }, []);
+  }, [updateReplay]);
+
+  const seekReplayTo = useCallback((tick) => {
+    updateReplay(seekReplay(replayRef.current, tick));
+  }, [updateReplay]);
+
+  const setReplaySpeed = useCallback((speed) => {
+    updateReplay({ ...replayRef.current, speed });
+  }, [updateReplay]);
 
-  // Special item spawn timer (one at a time, 10s spacing, each type only once per round)
+  // Replay keys: Space plays/pauses, Escape closes
   useEffect(() => {
-    if (gameState !== 'playing' || specialItem) return;
+    if (!replay) return;
     
-    // Get available types (not yet spawned this round)
-    const allTypes = ['drumstick', 'pizza', 'cookie', 'tennis', 'cheese'];
-    const availableTypes = allTypes.filter(t => !spawnedSpecials.includes(t));
-    
-    // If all types have been spawned, don't spawn more
-    if (availableTypes.length === 0) return;
-    
-    const spawnTimer = setTimeout(() => {
-      // Find a valid spawn location away from Socks and not on couch
-      const validPositions = [];
-      for (let y = 1; y < MAZE_HEIGHT - 1; y++) {
-        for (let x = 1; x < MAZE_WIDTH - 1; x++) {
-          if (maze[y][x] === 0) {
-            const distFromSocks = Math.abs(x - socksRef.current.x) + Math.abs(y - socksRef.current.y);
-            const onCouch = x >= couchPosition.x && x < couchPosition.x + COUCH_WIDTH &&
-                           y >= couchPosition.y && y < couchPosition.y + COUCH_HEIGHT;
-            if (distFromSocks > 5 && !onCouch) {
-              validPositions.push({ x, y });
-            }
-          }
-        }
-      }
-      if (validPositions.length > 0 && availableTypes.length > 0) {
-        const pos = validPositions[Math.floor(Math.random() * validPositions.length)];
-        const type = availableTypes[Math.floor(Math.random() * availableTypes.length)];
-        setSpecialItem({ type, x: pos.x, y: pos.y });
-        setSpawnedSpecials(prev => [...prev, type]);
+    const handleReplayKey = (e) => {
+      if (e.key === ' ') {
+        e.preventDefault();
+        toggleReplayPlaying();
+      } else if (e.key === 'Escape') {
+        closeReplay();
       }
-    }, 10000);
+    };
     
-    return () => clearTimeout(spawnTimer);
-  }, [gameState, maze, specialItem, couchPosition, spawnedSpecials]);
+    window.addEventListener('keydown', handleReplayKey);
+    return () => window.removeEventListener('keydown', handleReplayKey);
+  }, [replay, toggleReplayPlaying, closeReplay]);
 
-  // Special item despawn timer (disappears after 20 seconds)
+  // Pause when the player looks away - another tab, another window, a
+  // minimised browser - just as if they'd pressed pause themselves
   useEffect(() => {
-    if (!specialItem || gameState !== 'playing') return;
-    
-    const despawnTimer = setTimeout(() => {
-      setSpecialItem(null);
-    }, 20000);
-    
-    return () => clearTimeout(despawnTimer);
-  }, [specialItem, gameState]);
+    const pauseInBackground = () => {
+      if (gameRef.current.gameState === 'playing') togglePause();
+      if (replayRef.current?.playing) updateReplay({ ...replayRef.current, playing: false });
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') pauseInBackground();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', pauseInBackground);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', pauseInBackground);
+    };
+  }, [togglePause, updateReplay]);
 
-  // Continuous fireworks during win state
+  // Effect timeouts wait for the game while it's paused
   useEffect(() => {
-    if (gameState !== 'won') return;
-    
-    const interval = setInterval(() => {
-      const colors = ['#FFD700', '#FF6B6B', '#4ECDC4', '#FF69B4', '#00FF00', '#FF4500', '#9B59B6', '#3498DB'];
-      const newFireworks = [];
-      for (let i = 0; i < 8; i++) {
-        newFireworks.push({
-          id: Date.now() + Math.random(),
-          x: Math.random() * (MAZE_WIDTH * cellSize - 40) + 20,
-          y: Math.random() * (MAZE_HEIGHT * cellSize - 40) + 20,
-          color: colors[Math.floor(Math.random() * colors.length)],
-        });
-      }
-      setFireworks(newFireworks);
-    }, 600);
-    
-    return () => clearInterval(interval);
-  }, [gameState]);
+    if (gameState === 'paused') effectTimers.pause();
+    else effectTimers.resume();
+  }, [gameState, effectTimers]);
 
-  // Special item movement (half speed of catchers = 900ms)
+  useEffect(() => effectTimers.clearAll, [effectTimers]);
+
+  // Game loop - advances the engine in fixed ticks to keep up with real
+  // time, so the same inputs always produce the same game (see replay.js)
   useEffect(() => {
-    if (!specialItem || gameState !== 'playing') return;
+    let frameId;
+    let lastTime = null;
+    let pendingTime = 0;
+    let replayTime = 0;
     
-    const interval = setInterval(() => {
-      setSpecialItem(prev => {
-        if (!prev) return null;
-        
-        // Random movement
-        const moves = [];
-        if (prev.x + 1 < MAZE_WIDTH && maze[prev.y]?.[prev.x + 1] === 0) {
-          moves.push({ x: prev.x + 1, y: prev.y });
-        }
-        if (prev.x - 1 >= 0 && maze[prev.y]?.[prev.x - 1] === 0) {
-          moves.push({ x: prev.x - 1, y: prev.y });
-        }
-        if (prev.y + 1 < MAZE_HEIGHT && maze[prev.y + 1]?.[prev.x] === 0) {
-          moves.push({ x: prev.x, y: prev.y + 1 });
+    const gameLoop = (timestamp) => {
+      // Clamp long frames (e.g. a backgrounded tab) so nothing jumps ahead
+      const dt = lastTime === null ? 0 : Math.min(timestamp - lastTime, MAX_FRAME_TIME);
+      lastTime = timestamp;
+      
+      const activeReplay = replayRef.current;
+      if (activeReplay) {
+        if (activeReplay.playing) {
+          replayTime += dt * activeReplay.speed;
+          const ticks = Math.floor(replayTime / TICK_MS);
+          replayTime -= ticks * TICK_MS;
+          if (ticks > 0) updateReplay(advanceReplay(activeReplay, ticks));
         }
-        if (prev.y - 1 >= 0 && maze[prev.y - 1]?.[prev.x] === 0) {
-          moves.push({ x: prev.x, y: prev.y - 1 });
+      } else {
+        pendingTime += dt;
+        while (pendingTime >= TICK_MS && gameRef.current.gameState === 'playing') {
+          const direction = heldDirectionRef.current;
+          if (recordingRef.current) recordInput(recordingRef.current, direction);
+          applyGame(engine.step(gameRef.current, { direction }, TICK_MS));
+          pendingTime -= TICK_MS;
         }
-        
-        if (moves.length === 0) return prev;
-        const newPos = moves[Math.floor(Math.random() * moves.length)];
-        return { ...prev, x: newPos.x, y: newPos.y };
-      });
-    }, 900);
-    
-    return () => clearInterval(interval);
-  }, [specialItem, gameState, maze]);
-
-  // Check collision with special item
-  useEffect(() => {
-    if (gameState !== 'playing' || !specialItem) return;
-    
-    if (socks.x === specialItem.x && socks.y === specialItem.y) {
-      setScore(s => s + 1000);
-      setCollectedSpecials(prev => [...prev, specialItem.type]);
-      setSpecialItem(null);
-      spawnFireworks();
+        if (gameRef.current.gameState !== 'playing') pendingTime = 0;
+      }
       
-      // Freeze catchers for 3 seconds
-      setCatchersFrozen(true);
-      setTimeout(() => setCatchersFrozen(false), 3000);
-    }
-  }, [socks, specialItem, gameState, spawnFireworks]);
+      frameId = requestAnimationFrame(gameLoop);
+    };
+    
+    frameId = requestAnimationFrame(gameLoop);
+    return () => cancelAnimationFrame(frameId);
+  }, [applyGame, updateReplay]);
 
-  // Dog treat movement (30% faster than regular special items = 630ms)
+  // Continuous fireworks during win state
   useEffect(() => {
-    if (!dogTreat || gameState !== 'playing') return;
+    if (gameState !== 'won' || showHighScoreEntry) return;
     
     const interval = setInterval(() => {
-      setDogTreat(prev => {
-        if (!prev) return null;
-        
-        // Random movement
-        const moves = [];
-        if (prev.x + 1 < MAZE_WIDTH && maze[prev.y]?.[prev.x + 1] === 0) {
-          moves.push({ x: prev.x + 1, y: prev.y });
-        }
-        if (prev.x - 1 >= 0 && maze[prev.y]?.[prev.x - 1] === 0) {
-          moves.push({ x: prev.x - 1, y: prev.y });
-        }
-        if (prev.y + 1 < MAZE_HEIGHT && maze[prev.y + 1]?.[prev.x] === 0) {
-          moves.push({ x: prev.x, y: prev.y + 1 });
-        }
-        if (prev.y - 1 >= 0 && maze[prev.y - 1]?.[prev.x] === 0) {
-          moves.push({ x: prev.x, y: prev.y - 1 });
-        }
-        
-        if (moves.length === 0) return prev;
-        const newPos = moves[Math.floor(Math.random() * moves.length)];
-        return { x: newPos.x, y: newPos.y };
-      });
-    }, 630);
+      setFireworks(createFireworks(8, WIN_COLORS, boardWidth, boardHeight));
+    }, 600);
     
     return () => clearInterval(interval);
-  }, [dogTreat, gameState, maze]);
+  }, [gameState, showHighScoreEntry, boardWidth, boardHeight]);
 
   return (
     <div 
@@ -1978,7 +2781,7 @@ export default function SocksGame() {
         outline: 'none',
       }}
       onKeyDown={(e) => {
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+        if (!isTextField(e.target) && getKeyDirection(bindings, e.code)) {
           e.preventDefault();
         }
       }}
@@ -2086,6 +2889,12 @@ export default function SocksGame() {
           50% { opacity: 1; }
         }
         
+        /* Frightened catchers flicker back to normal just before they recover */
+        @keyframes catcher-warning {
+          0% { filter: hue-rotate(180deg) saturate(1.5); }
+          50% { filter: none; }
+        }
+        
         @keyframes pulse {
           0%, 100% { transform: scale(1); }
           50% { transform: scale(1.15); }
@@ -2159,19 +2968,19 @@ export default function SocksGame() {
         pointerEvents: 'none',
         zIndex: 0,
       }}>
-        {[...Array(50)].map((_, i) => (
+        {stars.map((star, i) => (
           <div
             key={i}
             style={{
               position: 'absolute',
-              left: `${Math.random() * 100}%`,
-              top: `${Math.random() * 100}%`,
-              width: `${Math.random() * 3 + 1}px`,
-              height: `${Math.random() * 3 + 1}px`,
-              backgroundColor: ['#fff', '#ff00de', '#00ffff', '#ffff00'][Math.floor(Math.random() * 4)],
+              left: star.left,
+              top: star.top,
+              width: star.width,
+              height: star.height,
+              backgroundColor: star.color,
               borderRadius: '50%',
-              animation: `twinkle ${Math.random() * 3 + 2}s ease-in-out infinite`,
-              animationDelay: `${Math.random() * 2}s`,
+              animation: `twinkle ${star.duration} ease-in-out infinite`,
+              animationDelay: star.delay,
               opacity: 0.5,
             }}
           />
@@ -2217,7 +3026,7 @@ export default function SocksGame() {
           }}>
             <p style={{ fontSize: '12px', color: '#9ca3af', marginBottom: '8px' }}>Skip to level:</p>
             <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
-              {[1, 2, 3].map(lvl => (
+              {Array.from({ length: MAX_LEVEL }, (_, i) => i + 1).map(lvl => (
                 <button
                   key={lvl}
                   onClick={(e) => {
@@ -2234,13 +3043,57 @@ export default function SocksGame() {
                     color: 'white',
                     border: 'none',
                     cursor: 'pointer',
-                    backgroundColor: lvl === 1 ? '#2563eb' : lvl === 2 ? '#7c3aed' : '#dc2626',
+                    backgroundColor: getLevelSettings(lvl).accentColor,
                   }}
+                  title={getLevelSettings(lvl).name}
                 >
                   {lvl}
                 </button>
               ))}
             </div>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                openEditor();
+              }}
+              style={{
+                width: '100%',
+                padding: '8px 12px',
+                backgroundColor: '#7c3aed',
+                color: 'white',
+                fontSize: '14px',
+                fontWeight: 'bold',
+                borderRadius: '4px',
+                border: 'none',
+                cursor: 'pointer',
+                marginBottom: '12px',
+              }}
+            >
+              ✏️ Level Editor
+            </button>
+            {gameState !== 'start' && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  shareCurrentLevel();
+                  setShowLevelSelect(false);
+                }}
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  backgroundColor: '#0891b2',
+                  color: 'white',
+                  fontSize: '14px',
+                  fontWeight: 'bold',
+                  borderRadius: '4px',
+                  border: 'none',
+                  cursor: 'pointer',
+                  marginBottom: '12px',
+                }}
+              >
+                🔗 Share Level
+              </button>
+            )}
             
             {/* Pause and Reset buttons */}
             {(gameState === 'playing' || gameState === 'paused') && (
@@ -2317,7 +3170,8 @@ export default function SocksGame() {
       }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: isMobile ? '4px' : '8px' }}>
           <span style={{ color: '#ff00de' }}>LV</span>
-          <span style={{ color: '#ffff00', textShadow: '0 0 10px #ffff00' }}>{level}/{MAX_LEVEL}</span>
+          <span style={{ color: '#ffff00', textShadow: '0 0 10px #ffff00' }}>{view.customLevel ? '✏️' : `${level}/${MAX_LEVEL}`}</span>
+          {view.mode === 'daily' && <span style={{ color: '#00aaff' }}>📅</span>}
         </div>
         <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
           {[...Array(lives)].map((_, i) => (
@@ -2428,7 +3282,11 @@ export default function SocksGame() {
             textShadow: '0 0 10px #00ffff, 0 0 20px #00ffff',
             letterSpacing: '4px',
           }}>⏸ PAUSED</h2>
-          <p style={{ color: '#ff00de', marginBottom: '20px', fontSize: '10px' }}>PRESS ESC OR P TO RESUME</p>
+          {bindings.pause.length > 0 && (
+            <p style={{ color: '#ff00de', marginBottom: '20px', fontSize: '10px' }}>
+              PRESS {bindings.pause.map(formatKey).join(' OR ').toUpperCase()} TO RESUME
+            </p>
+          )}
           <div style={{ display: 'flex', gap: '16px', justifyContent: 'center' }}>
             <button
               onClick={togglePause}
@@ -2468,7 +3326,7 @@ export default function SocksGame() {
         </div>
       )}
 
-      {/* Level 3 treat message modal */}
+      {/* Dog treat message modal */}
       {showTreatMessage && (
         <div style={{
           position: 'absolute',
@@ -2491,7 +3349,7 @@ export default function SocksGame() {
             textShadow: '0 0 10px #ffff00, 0 0 20px #ff8800',
             letterSpacing: '2px',
           }}>
-            FINAL CHALLENGE!
+            {!view.customLevel && level < view.config.maxLevel ? 'ONE MORE THING!' : 'FINAL CHALLENGE!'}
           </h2>
           <p style={{ 
             color: '#00ffff', 
@@ -2507,7 +3365,7 @@ export default function SocksGame() {
             fontSize: isMobile ? '8px' : '10px',
             lineHeight: '1.8',
           }}>
-            BRING IT TO DAISY TO WIN!
+            {!view.customLevel && level < view.config.maxLevel ? 'BRING IT TO DAISY TO CLEAR THE LEVEL!' : 'BRING IT TO DAISY TO WIN!'}
           </p>
           <button
             onClick={dismissTreatMessage}
@@ -2530,7 +3388,7 @@ export default function SocksGame() {
         </div>
       )}
 
-      {gameState === 'start' && (
+      {gameState === 'start' && !showEditor && !showSettings && !showLeaderboard && (
         <div style={{
           position: 'absolute',
           zIndex: 20,
@@ -2555,7 +3413,7 @@ export default function SocksGame() {
           </h2>
           
           {/* High Scores Table */}
-          {highScores.length > 0 && (
+          {classicTopScores.length > 0 && (
             <div style={{
               backgroundColor: 'rgba(0, 0, 0, 0.5)',
               border: '2px solid #ff00de',
@@ -2571,7 +3429,61 @@ export default function SocksGame() {
               }}>
                 🏆 HIGH SCORES 🏆
               </div>
-              {highScores.map((entry, idx) => (
+              {classicTopScores.map((entry, idx) => (
+                <div key={idx} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  fontSize: isMobile ? '7px' : '9px',
+                  color: idx === 0 ? '#ffff00' : '#00ffff',
+                  marginBottom: '4px',
+                  textShadow: idx === 0 ? '0 0 8px #ffff00' : 'none',
+                }}>
+                  <span>{idx + 1}. {entry.name}{entry.pending && ' ⏳'}</span>
+                  <span>
+                    {entry.score.toLocaleString()}
+                    {canWatchReplay(entry) && (
+                      <button
+                        onClick={() => watchScoreReplay(entry)}
+                        title="Watch replay"
+                        style={{
+                          marginLeft: '8px',
+                          background: 'none',
+                          border: 'none',
+                          color: '#ff00de',
+                          cursor: 'pointer',
+                          fontSize: 'inherit',
+                          fontFamily: 'inherit',
+                          padding: 0,
+                        }}
+                      >
+                        ▶
+                      </button>
+                    )}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          
+          {/* Today's Daily Bone Hunt scores */}
+          {dailyScores.length > 0 && (
+            <div style={{
+              backgroundColor: 'rgba(0, 0, 0, 0.5)',
+              border: '2px solid #00aaff',
+              borderRadius: '4px',
+              padding: isMobile ? '10px' : '14px',
+              marginBottom: '16px',
+            }}>
+              <div style={{ 
+                color: '#00aaff', 
+                fontSize: isMobile ? '8px' : '10px', 
+                marginBottom: '10px',
+                textShadow: '0 0 10px #00aaff',
+              }}>
+                📅 DAILY {dailyDate} 📅
+              </div>
+              {dailyScores.map((entry, idx) => (
                 <div key={idx} style={{
                   display: 'flex',
                   justifyContent: 'space-between',
@@ -2582,7 +3494,27 @@ export default function SocksGame() {
                   textShadow: idx === 0 ? '0 0 8px #ffff00' : 'none',
                 }}>
                   <span>{idx + 1}. {entry.name}</span>
-                  <span>{entry.score.toLocaleString()}</span>
+                  <span>
+                    {entry.score.toLocaleString()}
+                    {isReplayCompatible(entry.replay) && (
+                      <button
+                        onClick={() => openReplay(entry.replay, entry)}
+                        title="Watch replay"
+                        style={{
+                          marginLeft: '8px',
+                          background: 'none',
+                          border: 'none',
+                          color: '#ff00de',
+                          cursor: 'pointer',
+                          fontSize: 'inherit',
+                          fontFamily: 'inherit',
+                          padding: 0,
+                        }}
+                      >
+                        ▶
+                      </button>
+                    )}
+                  </span>
                 </div>
               ))}
             </div>
@@ -2608,6 +3540,31 @@ export default function SocksGame() {
           }}>
             - PRESS START -
           </div>
+          {savedRun && (
+            <button
+              onClick={continueRun}
+              style={{
+                display: 'block',
+                margin: '0 auto 12px',
+                padding: isMobile ? '10px 16px' : '12px 24px',
+                backgroundColor: '#0891b2',
+                color: '#fff',
+                fontWeight: 'bold',
+                fontSize: isMobile ? '8px' : '10px',
+                borderRadius: '4px',
+                border: '3px solid #00ffff',
+                cursor: 'pointer',
+                fontFamily: '"Press Start 2P", monospace',
+                boxShadow: '0 0 15px #00ffff',
+              }}
+            >
+              ▶ CONTINUE
+              <span style={{ display: 'block', marginTop: '6px', fontSize: isMobile ? '6px' : '7px', color: '#cffafe' }}>
+                {savedRun.game.mode === 'custom' ? savedRun.game.customLevel.name : `LEVEL ${savedRun.game.level}`}
+                {' • '}{savedRun.game.score} PTS • {'❤️'.repeat(savedRun.game.lives)}
+              </span>
+            </button>
+          )}
           <button
             onClick={initGame}
             style={{
@@ -2628,6 +3585,175 @@ export default function SocksGame() {
           >
             START GAME
           </button>
+          <div style={{ marginTop: '16px' }}>
+            <button
+              onClick={startDaily}
+              disabled={dailyPlayed}
+              style={{
+                padding: isMobile ? '10px 16px' : '12px 24px',
+                backgroundColor: dailyPlayed ? '#333' : '#0066ff',
+                color: dailyPlayed ? '#888' : '#fff',
+                fontWeight: 'bold',
+                fontSize: isMobile ? '8px' : '10px',
+                borderRadius: '4px',
+                border: `3px solid ${dailyPlayed ? '#555' : '#00ffff'}`,
+                cursor: dailyPlayed ? 'not-allowed' : 'pointer',
+                fontFamily: '"Press Start 2P", monospace',
+                textTransform: 'uppercase',
+                boxShadow: dailyPlayed ? 'none' : '0 0 15px #00aaff, 0 5px 0 #003399',
+                letterSpacing: '1px',
+              }}
+            >
+              📅 DAILY BONE HUNT
+            </button>
+            <p style={{ color: dailyPlayed ? '#666' : '#00aaff', marginTop: '8px', fontSize: isMobile ? '6px' : '7px' }}>
+              {dailyPlayed ? 'PLAYED TODAY - COME BACK TOMORROW!' : `ONE SHOT • ${dailyDate}`}
+            </p>
+          </div>
+          
+          {/* Levels made in the editor */}
+          <div style={{
+            backgroundColor: 'rgba(0, 0, 0, 0.5)',
+            border: '2px solid #7c3aed',
+            borderRadius: '4px',
+            padding: isMobile ? '10px' : '14px',
+            marginTop: '16px',
+          }}>
+            <div style={{ 
+              color: '#a78bfa', 
+              fontSize: isMobile ? '8px' : '10px', 
+              marginBottom: '10px',
+              textShadow: '0 0 10px #7c3aed',
+            }}>
+              ✏️ CUSTOM LEVELS ✏️
+            </div>
+            {customLevels.map(entry => (
+              <div key={entry.id} style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                fontSize: isMobile ? '7px' : '9px',
+                color: '#00ffff',
+                marginBottom: '4px',
+              }}>
+                <span>{entry.level.name}</span>
+                <span style={{ display: 'flex', gap: '8px' }}>
+                  <button onClick={() => playCustomLevel(entry)} title="Play" style={customLevelButtonStyle}>▶</button>
+                  <button onClick={() => openEditor(entry)} title="Edit" style={customLevelButtonStyle}>✏️</button>
+                  <button onClick={() => removeCustomLevel(entry.id)} title="Delete" style={customLevelButtonStyle}>🗑</button>
+                </span>
+              </div>
+            ))}
+            <button
+              onClick={() => openEditor({ id: createCustomLevelId(), level: createBlankLevel() })}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#a78bfa',
+                cursor: 'pointer',
+                fontSize: isMobile ? '6px' : '8px',
+                fontFamily: '"Press Start 2P", monospace',
+                marginTop: customLevels.length > 0 ? '6px' : 0,
+              }}
+            >
+              + NEW LEVEL
+            </button>
+          </div>
+          <div style={{ marginTop: '12px' }}>
+            <button
+              onClick={() => replayFileInputRef.current?.click()}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#ff00de',
+                cursor: 'pointer',
+                fontSize: isMobile ? '6px' : '8px',
+                fontFamily: '"Press Start 2P", monospace',
+              }}
+            >
+              📂 LOAD REPLAY
+            </button>
+            <button
+              onClick={() => setShowSettings(true)}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#ff00de',
+                cursor: 'pointer',
+                fontSize: isMobile ? '6px' : '8px',
+                fontFamily: '"Press Start 2P", monospace',
+                marginLeft: '12px',
+              }}
+            >
+              ⚙️ SETTINGS
+            </button>
+            <button
+              onClick={() => {
+                setShowLeaderboard(true);
+                refreshHighScores();
+              }}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#ff00de',
+                cursor: 'pointer',
+                fontSize: isMobile ? '6px' : '8px',
+                fontFamily: '"Press Start 2P", monospace',
+                marginLeft: '12px',
+              }}
+            >
+              🏆 LEADERBOARD
+            </button>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (shareCodeInput.trim()) openShareCode(shareCodeInput.trim());
+              }}
+              style={{ display: 'flex', gap: '6px', justifyContent: 'center', marginTop: '10px' }}
+            >
+              <input
+                type="text"
+                value={shareCodeInput}
+                onChange={(e) => setShareCodeInput(e.target.value)}
+                placeholder="PASTE LEVEL CODE"
+                style={{
+                  width: isMobile ? '160px' : '220px',
+                  padding: '6px',
+                  backgroundColor: '#000',
+                  color: '#00ffff',
+                  border: '2px solid #00ffff',
+                  borderRadius: '4px',
+                  fontSize: isMobile ? '6px' : '8px',
+                  fontFamily: '"Press Start 2P", monospace',
+                }}
+              />
+              <button
+                type="submit"
+                style={{
+                  padding: '6px 10px',
+                  backgroundColor: '#0891b2',
+                  color: '#fff',
+                  border: '2px solid #00ffff',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: isMobile ? '6px' : '8px',
+                  fontFamily: '"Press Start 2P", monospace',
+                }}
+              >
+                GO
+              </button>
+            </form>
+            <input
+              ref={replayFileInputRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                loadReplayFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
           <p style={{ color: '#666', marginTop: '16px', fontSize: isMobile ? '6px' : '7px' }}>
             © 2024 SOCKS ARCADE
           </p>
@@ -2699,9 +3825,14 @@ export default function SocksGame() {
             </svg>
           </div>
           
-          <p className="text-white mb-2 relative z-10" style={{ fontFamily: 'monospace' }}>Get ready for Level {level + 1}!</p>
-          <p className="text-gray-300 mb-2 relative z-10 text-sm">More dog catchers and they're faster!</p>
-          <p className="text-amber-400 mb-4 text-xl font-bold relative z-10">Score: {score}</p>
+          <p className="text-white mb-2 relative z-10" style={{ fontFamily: 'monospace' }}>
+            Get ready for Level {level + 1}: {getLevelSettings(level + 1).name}!
+          </p>
+          {nextLevelHint(level) && (
+            <p className="text-gray-300 mb-2 relative z-10 text-sm">{nextLevelHint(level)}</p>
+          )}
+          <p className="text-amber-400 mb-2 text-xl font-bold relative z-10">Score: {score}</p>
+          <p className="text-gray-500 mb-4 text-xs relative z-10" style={{ fontFamily: 'monospace' }}>Seed: {game.seed}</p>
           <button
             onClick={nextLevel}
             className="px-6 py-3 bg-green-500 hover:bg-green-600 text-white font-bold rounded-lg transition-colors relative z-10"
@@ -2712,7 +3843,7 @@ export default function SocksGame() {
         </div>
       )}
 
-      {gameState === 'won' && (
+      {gameState === 'won' && !showHighScoreEntry && (
         <div className="absolute z-20 bg-black/90 rounded-xl p-8 text-center border-4 border-yellow-500 overflow-hidden" style={{ imageRendering: 'pixelated', minWidth: '380px' }}>
           {/* Fireworks background - more of them for final win */}
           <div className="absolute inset-0 pointer-events-none overflow-hidden">
@@ -2825,7 +3956,8 @@ export default function SocksGame() {
             <div className="absolute text-2xl" style={{ left: '50%', top: 25, transform: 'translateX(-50%)', animation: 'pulse 0.5s ease-in-out infinite' }}>❤️</div>
           </div>
           
-          <p className="text-amber-400 mb-4 text-2xl font-bold relative z-10">Final Score: {score}</p>
+          <p className="text-amber-400 mb-2 text-2xl font-bold relative z-10">Final Score: {score}</p>
+          <p className="text-gray-500 mb-4 text-xs relative z-10" style={{ fontFamily: 'monospace' }}>Seed: {game.seed}</p>
           <button
             onClick={initGame}
             className="px-6 py-3 bg-yellow-500 hover:bg-yellow-600 text-white font-bold rounded-lg transition-colors relative z-10"
@@ -2833,10 +3965,29 @@ export default function SocksGame() {
           >
             🎮 Play Again
           </button>
+          {view.mode === 'custom' ? (
+            editor && (
+              <button
+                onClick={() => openEditor()}
+                className="block mx-auto mt-3 text-xs text-gray-400 hover:text-white relative z-10"
+                style={{ fontFamily: 'monospace' }}
+              >
+                ✏️ Back to Editor
+              </button>
+            )
+          ) : (
+            <button
+              onClick={saveReplayFile}
+              className="block mx-auto mt-3 text-xs text-gray-400 hover:text-white relative z-10"
+              style={{ fontFamily: 'monospace' }}
+            >
+              💾 Save Replay
+            </button>
+          )}
         </div>
       )}
 
-      {gameState === 'lost' && (
+      {gameState === 'lost' && !showHighScoreEntry && (
         <div className="absolute z-20 bg-black/90 rounded-xl p-8 text-center border-4 border-red-600 overflow-hidden" style={{ imageRendering: 'pixelated', minWidth: '320px' }}>
           <h2 className="text-2xl font-bold text-red-400 mb-4" style={{ fontFamily: 'monospace' }}>Game Over!</h2>
           
@@ -2922,7 +4073,8 @@ export default function SocksGame() {
           </div>
           
           <p className="text-white mb-2" style={{ fontFamily: 'monospace' }}>The dog catchers got Socks!</p>
-          <p className="text-amber-400 mb-4">Final Score: {score}</p>
+          <p className="text-amber-400 mb-2">Final Score: {score}</p>
+          <p className="text-gray-500 mb-4 text-xs" style={{ fontFamily: 'monospace' }}>Seed: {game.seed}</p>
           <button
             onClick={initGame}
             className="px-6 py-3 bg-red-500 hover:bg-red-600 text-white font-bold rounded-lg transition-colors"
@@ -2930,6 +4082,25 @@ export default function SocksGame() {
           >
             Try Again
           </button>
+          {view.mode === 'custom' ? (
+            editor && (
+              <button
+                onClick={() => openEditor()}
+                className="block mx-auto mt-3 text-xs text-gray-400 hover:text-white"
+                style={{ fontFamily: 'monospace' }}
+              >
+                ✏️ Back to Editor
+              </button>
+            )
+          ) : (
+            <button
+              onClick={saveReplayFile}
+              className="block mx-auto mt-3 text-xs text-gray-400 hover:text-white"
+              style={{ fontFamily: 'monospace' }}
+            >
+              💾 Save Replay
+            </button>
+          )}
         </div>
       )}
 
@@ -2999,18 +4170,20 @@ export default function SocksGame() {
       <div
         style={{
           position: 'relative',
-          width: MAZE_WIDTH * cellSize,
-          height: MAZE_HEIGHT * cellSize,
-          backgroundColor: getLevelSettings(level).floorColor,
+          width: boardWidth,
+          height: boardHeight,
+          backgroundColor: getCurrentLevelSettings(view).floorColor,
           border: '4px solid #00ffff',
           borderRadius: '8px',
           boxShadow: '0 0 20px rgba(0, 255, 255, 0.4), 0 0 40px rgba(0, 255, 255, 0.2), 0 0 60px rgba(255, 0, 222, 0.1), inset 0 0 30px rgba(0, 0, 0, 0.5)',
           overflow: 'hidden',
           boxSizing: 'content-box',
         }}
+        onDragOver={handleReplayDragOver}
+        onDrop={handleReplayDrop}
       >
-        {/* Frozen indicator overlay */}
-        {catchersFrozen && (
+        {/* Frightened indicator overlay */}
+        {catchersFrightened && !frightenedEnding && (
           <div style={{
             position: 'absolute',
             top: '50%',
@@ -3032,7 +4205,7 @@ export default function SocksGame() {
             letterSpacing: '2px',
             textShadow: '0 0 10px #00ffff',
           }}>
-            ❄️ FROZEN! ❄️
+            😱 CATCHERS FLEE! 😱
           </div>
         )}
 
@@ -3048,7 +4221,7 @@ export default function SocksGame() {
                   top: y * cellSize,
                   width: cellSize,
                   height: cellSize,
-                  backgroundColor: getLevelSettings(level).wallColor,
+                  backgroundColor: getCurrentLevelSettings(view).wallColor,
                   borderRadius: 2,
                   boxShadow: 'inset 0 0 4px rgba(0,0,0,0.5)',
                 }}
@@ -3063,12 +4236,12 @@ export default function SocksGame() {
         ))}
 
         {/* Render couch (safe zone) */}
-        <Couch x={couchPosition.x} y={couchPosition.y} cellSize={cellSize} />
+        <Couch x={couchPosition.x} y={couchPosition.y} cellSize={cellSize} timeLeft={couchTimeLeft} />
 
         {/* Render special item */}
         {specialItem && <SpecialItem type={specialItem.type} x={specialItem.x} y={specialItem.y} cellSize={cellSize} />}
 
-        {/* Render dog treat (Level 3 final challenge) */}
+        {/* Render dog treat (levels with the treat goal) */}
         {dogTreat && <DogTreat x={dogTreat.x} y={dogTreat.y} cellSize={cellSize} />}
 
         {/* Render fireworks */}
@@ -3076,21 +4249,24 @@ export default function SocksGame() {
           <Firework key={fw.id} x={fw.x} y={fw.y} color={fw.color} />
         ))}
 
-        {/* Render catchers */}
+        {/* Render catchers - sliding between tiles as the engine times their steps */}
         {catchers.map(catcher => (
-          <DogCatcher key={catcher.id} x={catcher.x} y={catcher.y} cellSize={cellSize} frozen={catchersFrozen} />
+          <DogCatcher
+            key={catcher.id}
+            {...engine.getCatcherRenderPosition(view, catcher)}
+            role={catcher.role}
+            cellSize={cellSize}
+            frightened={catcher.frightened}
+            warning={frightenedEnding}
+          />
         ))}
 
         {/* Render Socks */}
         <Dog 
-          x={socks.x} 
-          y={socks.y} 
+          {...engine.getSocksRenderPosition(view)}
           direction={socks.direction} 
           cellSize={cellSize}
-          inSafeZone={
-            socks.x >= couchPosition.x && socks.x < couchPosition.x + COUCH_WIDTH &&
-            socks.y >= couchPosition.y && socks.y < couchPosition.y + COUCH_HEIGHT
-          }
+          inSafeZone={isInSafeZone(view)}
         />
         
         {/* Spawn animation */}
@@ -3145,8 +4321,131 @@ export default function SocksGame() {
       </div>
       )}
 
+      {/* Level editor */}
+      {showEditor && editor && (
+        <LevelEditor
+          key={editor.id}
+          level={editor.level}
+          onChange={(level) => setEditor({ ...editor, level })}
+          onSave={saveEditorLevel}
+          onPlaytest={playtestLevel}
+          onShare={shareLevel}
+          onClose={closeEditor}
+          isMobile={isMobile}
+        />
+      )}
+
+      {/* Sound and key bindings */}
+      {showSettings && (
+        <SettingsScreen
+          bindings={bindings}
+          onChange={updateBindings}
+          inputBuffering={inputBuffering}
+          onInputBufferingChange={updateInputBuffering}
+          audioSettings={audioSettings}
+          onAudioSettingsChange={updateAudioSettings}
+          hapticsSettings={hapticsSettings}
+          onHapticsSettingsChange={updateHapticsSettings}
+          onClose={() => setShowSettings(false)}
+          isMobile={isMobile}
+        />
+      )}
+
+      {showLeaderboard && (
+        <Leaderboard
+          entries={highScores}
+          onWatchReplay={(entry) => {
+            setShowLeaderboard(false);
+            watchScoreReplay(entry);
+          }}
+          onClose={() => setShowLeaderboard(false)}
+          isMobile={isMobile}
+        />
+      )}
+
+      {/* Share link for the level that was just shared */}
+      {shareLink && (
+        <div style={{
+          position: 'fixed',
+          bottom: '16px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          display: 'flex',
+          gap: '8px',
+          alignItems: 'center',
+          padding: '10px 16px',
+          backgroundColor: 'rgba(0, 20, 40, 0.95)',
+          border: '2px solid #00ffff',
+          borderRadius: '4px',
+          color: '#00ffff',
+          fontSize: isMobile ? '7px' : '9px',
+          fontFamily: '"Press Start 2P", monospace',
+          zIndex: 200,
+        }}>
+          <span>🔗 LINK COPIED</span>
+          <input
+            type="text"
+            readOnly
+            value={shareLink}
+            onFocus={(e) => e.target.select()}
+            style={{
+              width: isMobile ? '140px' : '260px',
+              backgroundColor: '#000',
+              color: '#00ffff',
+              border: '1px solid #00ffff',
+              fontFamily: 'monospace',
+              fontSize: '11px',
+              padding: '2px 4px',
+            }}
+          />
+          <button
+            onClick={() => setShareLink(null)}
+            style={{ background: 'none', border: 'none', color: '#ff00de', cursor: 'pointer', fontFamily: 'inherit' }}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Replay file, share code and leaderboard problems */}
+      {replayNotice && (
+        <div
+          onClick={() => setReplayNotice(null)}
+          style={{
+            position: 'fixed',
+            top: '16px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            padding: '10px 16px',
+            backgroundColor: 'rgba(40, 0, 0, 0.95)',
+            border: '2px solid #ff0000',
+            borderRadius: '4px',
+            color: '#ff6666',
+            fontSize: isMobile ? '7px' : '9px',
+            fontFamily: '"Press Start 2P", monospace',
+            zIndex: 200,
+            cursor: 'pointer',
+          }}
+        >
+          ⚠ {replayNotice}
+        </div>
+      )}
+
+      {/* Replay playback controls */}
+      {replay && (
+        <ReplayControls
+          replay={replay}
+          onTogglePlay={toggleReplayPlaying}
+          onSeek={seekReplayTo}
+          onSpeedChange={setReplaySpeed}
+          onSave={saveReplayFile}
+          onClose={closeReplay}
+          isMobile={isMobile}
+        />
+      )}
+
       {/* Virtual Joystick for mobile controls - only show when game is active */}
-      {isMobile && gameState !== 'start' && (
+      {isMobile && gameState !== 'start' && !replay && (
         <VirtualJoystick 
           onDirectionStart={handleTouchStart}
           onDirectionEnd={handleTouchEnd}
@@ -3168,7 +4467,7 @@ export default function SocksGame() {
       }}>
         {isMobile 
           ? 'JOYSTICK TO MOVE • COUCH = SAFE ZONE'
-          : '← ↑ → ↓ MOVE • COUCH = SAFE ZONE • ESC/P = PAUSE'
+          : `${['up', 'left', 'down', 'right'].map(id => bindings[id].map(formatKey)[0] ?? '?').join(' ')} MOVE • COUCH = SAFE ZONE • ${bindings.pause.map(formatKey).join('/') || '?'} = PAUSE`
         }
       </p>
       )}
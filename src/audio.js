@@ -0,0 +1,213 @@
+// Sound - chiptune effects and music synthesized with the Web Audio API,
+// so there are no sound files to load.
+//
+// Everything plays through three gain stages: each effect or music note
+// goes into the SFX or music bus, and both buses into the master volume.
+// Browsers keep audio locked until the player interacts with the page, so
+// nothing is created until unlockAudio() is called from an input handler.
+
+import { readJson, writeJson } from './storage.js';
+
+const AUDIO_SETTINGS_KEY = 'socksBoneHuntAudio'; // { master, sfx, music, muted }
+
+export const DEFAULT_AUDIO_SETTINGS = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+
+const clampVolume = (value, fallback) =>
+  (typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback);
+
+export const loadAudioSettings = () => {
+  const saved = readJson(AUDIO_SETTINGS_KEY, {});
+  return {
+    master: clampVolume(saved?.master, DEFAULT_AUDIO_SETTINGS.master),
+    sfx: clampVolume(saved?.sfx, DEFAULT_AUDIO_SETTINGS.sfx),
+    music: clampVolume(saved?.music, DEFAULT_AUDIO_SETTINGS.music),
+    muted: saved?.muted === true,
+  };
+};
+
+export const saveAudioSettings = (settings) => writeJson(AUDIO_SETTINGS_KEY, settings);
+
+// Sound effects as lists of notes: frequency in Hz (slid to `to` if given),
+// start and length in seconds, and the oscillator wave. 'noise' plays a
+// burst of white noise instead, band-passed around the frequency.
+const SOUNDS = {
+  bone: [
+    { freq: 880, start: 0, length: 0.05, wave: 'square' },
+    { freq: 1320, start: 0.04, length: 0.06, wave: 'square' },
+  ],
+  special: [
+    { freq: 523, start: 0, length: 0.08, wave: 'square' },
+    { freq: 659, start: 0.07, length: 0.08, wave: 'square' },
+    { freq: 784, start: 0.14, length: 0.08, wave: 'square' },
+    { freq: 1047, start: 0.21, length: 0.16, wave: 'square' },
+  ],
+  catcherEaten: [
+    { freq: 200, to: 1200, start: 0, length: 0.25, wave: 'sawtooth' },
+    { freq: 1600, start: 0.22, length: 0.08, wave: 'square' },
+  ],
+  caught: [
+    { freq: 660, to: 110, start: 0, length: 0.7, wave: 'square' },
+    { freq: 330, to: 55, start: 0.05, length: 0.7, wave: 'triangle' },
+  ],
+  levelComplete: [
+    { freq: 523, start: 0, length: 0.12, wave: 'square' },
+    { freq: 659, start: 0.12, length: 0.12, wave: 'square' },
+    { freq: 784, start: 0.24, length: 0.12, wave: 'square' },
+    { freq: 1047, start: 0.36, length: 0.3, wave: 'square' },
+    { freq: 262, start: 0.36, length: 0.3, wave: 'triangle' },
+  ],
+  treat: [
+    { freq: 392, start: 0, length: 0.1, wave: 'triangle' },
+    { freq: 587, start: 0.08, length: 0.1, wave: 'triangle' },
+    { freq: 784, start: 0.16, length: 0.2, wave: 'square' },
+  ],
+  fireworks: [
+    { freq: 300, to: 1400, start: 0, length: 0.3, wave: 'triangle' },
+    { freq: 2000, start: 0.3, length: 0.4, wave: 'noise' },
+    { freq: 500, to: 1800, start: 0.5, length: 0.3, wave: 'triangle' },
+    { freq: 1500, start: 0.8, length: 0.5, wave: 'noise' },
+    { freq: 400, to: 1600, start: 1.0, length: 0.3, wave: 'triangle' },
+    { freq: 2500, start: 1.3, length: 0.6, wave: 'noise' },
+  ],
+};
+
+// One bar of sixteenth notes per level (semitones above A3, null = rest),
+// with a bass note per beat. Levels past the last pattern reuse them.
+const MUSIC_PATTERNS = [
+  {
+    melody: [12, null, 15, null, 19, null, 15, null, 17, null, 14, null, 10, null, 14, null],
+    bass: [0, 0, -2, -2],
+  },
+  {
+    melody: [7, 10, 12, null, 10, 7, 5, null, 7, 10, 14, null, 12, 10, 7, null],
+    bass: [-5, -5, -7, -2],
+  },
+  {
+    melody: [12, 12, 15, 12, 17, 12, 15, 12, 19, 17, 15, 12, 14, 15, 14, 10],
+    bass: [0, 3, -2, -4],
+  },
+];
+const MUSIC_ROOT = 220; // A3
+const STEPS_PER_CATCHER_STEP = 4; // Sixteenths per catcher move, so faster catchers mean faster music
+const SCHEDULE_AHEAD = 0.15; // Seconds of music queued at a time
+const SCHEDULE_INTERVAL = 50; // ms between scheduler runs
+
+const noteFrequency = (semitones) => MUSIC_ROOT * 2 ** (semitones / 12);
+
+let context = null;
+let buses = null;
+let noiseBuffer = null;
+let settings = loadAudioSettings();
+let music = null; // { pattern, stepLength, step, nextTime, timer }
+
+const busVolumes = () => ({
+  master: settings.muted ? 0 : settings.master,
+  sfx: settings.sfx,
+  music: settings.music * 0.4, // The music sits under the effects
+});
+
+// Create the audio graph on first use, and wake it if the browser suspended
+// it. Call from a click or key handler.
+export const unlockAudio = () => {
+  const AudioContextClass = typeof window === 'undefined' ? null : window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  if (!context) {
+    context = new AudioContextClass();
+    const volumes = busVolumes();
+    const master = context.createGain();
+    master.gain.value = volumes.master;
+    master.connect(context.destination);
+    const sfx = context.createGain();
+    sfx.gain.value = volumes.sfx;
+    sfx.connect(master);
+    const musicBus = context.createGain();
+    musicBus.gain.value = volumes.music;
+    musicBus.connect(master);
+    buses = { master, sfx, music: musicBus };
+
+    noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+  }
+  if (context.state === 'suspended') context.resume();
+};
+
+export const setAudioSettings = (next) => {
+  settings = next;
+  if (!buses) return;
+  const volumes = busVolumes();
+  for (const [name, bus] of Object.entries(buses)) {
+    bus.gain.setTargetAtTime(volumes[name], context.currentTime, 0.02);
+  }
+};
+
+// Play one note into a bus at `time` (AudioContext seconds)
+const playNote = (note, time, bus, volume = 0.3) => {
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(volume, time);
+  envelope.gain.exponentialRampToValueAtTime(0.001, time + note.length);
+  envelope.connect(bus);
+
+  let source;
+  if (note.wave === 'noise') {
+    source = context.createBufferSource();
+    source.buffer = noiseBuffer;
+    const filter = context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = note.freq;
+    source.connect(filter);
+    filter.connect(envelope);
+  } else {
+    source = context.createOscillator();
+    source.type = note.wave;
+    source.frequency.setValueAtTime(note.freq, time);
+    if (note.to) source.frequency.exponentialRampToValueAtTime(note.to, time + note.length);
+    source.connect(envelope);
+  }
+  source.start(time);
+  source.stop(time + note.length);
+};
+
+export const playSound = (name) => {
+  if (!context || context.state !== 'running' || !SOUNDS[name]) return;
+  const now = context.currentTime;
+  for (const note of SOUNDS[name]) playNote(note, now + note.start, buses.sfx);
+};
+
+// Queue up every music step that starts within the next SCHEDULE_AHEAD
+// seconds. Runs on a timer, but the notes are timed by the audio clock.
+const scheduleMusic = () => {
+  const { pattern, stepLength } = music;
+  while (music.nextTime < context.currentTime + SCHEDULE_AHEAD) {
+    const step = music.step % pattern.melody.length;
+    const melody = pattern.melody[step];
+    if (melody !== null) {
+      playNote({ freq: noteFrequency(melody), length: stepLength * 0.9, wave: 'square' }, music.nextTime, buses.music, 0.2);
+    }
+    if (step % 4 === 0) {
+      const bass = pattern.bass[(step / 4) % pattern.bass.length];
+      playNote({ freq: noteFrequency(bass - 12), length: stepLength * 3.5, wave: 'triangle' }, music.nextTime, buses.music, 0.35);
+    }
+    music.step += 1;
+    music.nextTime += stepLength;
+  }
+};
+
+// Loop the music for a level. `catcherSpeed` is the level's ms per
+// catcher step; the music keeps time with the catchers.
+export const startMusic = (level, catcherSpeed) => {
+  if (!context) return;
+  const pattern = MUSIC_PATTERNS[(level - 1) % MUSIC_PATTERNS.length];
+  const stepLength = catcherSpeed / STEPS_PER_CATCHER_STEP / 1000;
+  if (music?.pattern === pattern && music.stepLength === stepLength) return;
+  stopMusic();
+  music = { pattern, stepLength, step: 0, nextTime: context.currentTime + 0.05, timer: null };
+  scheduleMusic();
+  music.timer = setInterval(scheduleMusic, SCHEDULE_INTERVAL);
+};
+
+export const stopMusic = () => {
+  if (!music) return;
+  clearInterval(music.timer);
+  music = null;
+};
@@ -0,0 +1,90 @@
+// Control settings - which keys trigger which action, and input buffering.
+//
+// Keys are stored as KeyboardEvent.code values ('KeyW', 'Numpad8', ...),
+// so WASD stays where it is on any keyboard layout. Every action can have
+// any number of keys; a key bound to more than one action is a conflict
+// and only triggers the first of them (in ACTIONS order).
+
+import { readJson, writeJson } from './storage.js';
+
+const BINDINGS_KEY = 'socksBoneHuntKeyBindings'; // { [action]: [code, ...] }
+const BUFFERING_KEY = 'socksBoneHuntInputBuffering'; // true/false
+
+export const ACTIONS = [
+  { id: 'up', label: 'Up', direction: { dx: 0, dy: -1 } },
+  { id: 'down', label: 'Down', direction: { dx: 0, dy: 1 } },
+  { id: 'left', label: 'Left', direction: { dx: -1, dy: 0 } },
+  { id: 'right', label: 'Right', direction: { dx: 1, dy: 0 } },
+  { id: 'pause', label: 'Pause' },
+  { id: 'restart', label: 'Restart' },
+  { id: 'levelSelect', label: 'Level select' },
+  { id: 'mute', label: 'Mute' },
+];
+
+export const DEFAULT_BINDINGS = {
+  up: ['ArrowUp', 'KeyW', 'Numpad8'],
+  down: ['ArrowDown', 'KeyS', 'Numpad2', 'Numpad5'],
+  left: ['ArrowLeft', 'KeyA', 'Numpad4'],
+  right: ['ArrowRight', 'KeyD', 'Numpad6'],
+  pause: ['Escape', 'KeyP'],
+  restart: ['KeyR'],
+  levelSelect: ['KeyL'],
+  mute: ['KeyM'],
+};
+
+// Saved bindings, falling back to the defaults for anything missing or broken
+export const loadBindings = () => {
+  const saved = readJson(BINDINGS_KEY, {});
+  return Object.fromEntries(ACTIONS.map(({ id }) => {
+    const keys = saved?.[id];
+    const valid = Array.isArray(keys) && keys.every(key => typeof key === 'string');
+    return [id, valid ? [...new Set(keys)] : [...DEFAULT_BINDINGS[id]]];
+  }));
+};
+
+export const saveBindings = (bindings) => writeJson(BINDINGS_KEY, bindings);
+
+// Whether turns pressed too early are queued until Socks reaches an
+// opening (see moveSocks() in game/engine.js). Off unless turned on, like
+// the engine's default.
+export const loadInputBuffering = () => readJson(BUFFERING_KEY, false) === true;
+
+export const saveInputBuffering = (enabled) => writeJson(BUFFERING_KEY, enabled);
+
+// The action a key triggers, or null
+export const getKeyAction = (bindings, code) =>
+  ACTIONS.find(({ id }) => bindings[id]?.includes(code))?.id ?? null;
+
+// The direction a key moves Socks in, or null
+export const getKeyDirection = (bindings, code) =>
+  ACTIONS.find(({ id }) => id === getKeyAction(bindings, code))?.direction ?? null;
+
+// Keys bound to more than one action, as { [code]: [action, ...] }
+export const findConflicts = (bindings) => {
+  const actionsByKey = {};
+  for (const { id } of ACTIONS) {
+    for (const code of bindings[id] ?? []) {
+      actionsByKey[code] = [...(actionsByKey[code] ?? []), id];
+    }
+  }
+  return Object.fromEntries(Object.entries(actionsByKey).filter(([, actions]) => actions.length > 1));
+};
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  Space: 'Space',
+  Enter: 'Enter',
+};
+
+// Short name for a key code, e.g. 'KeyW' -> 'W', 'Numpad8' -> 'Num 8'
+export const formatKey = (code) => {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+};
@@ -0,0 +1,115 @@
+// Custom levels made in the level editor.
+//
+// Each one is stored in the campaign's own JSON level format (see
+// game/levels.js) with a hand-made layout, so it goes through the same
+// schema check as the campaign before it can be played.
+
+import { readJson, writeJson } from './storage.js';
+import {
+  CAMPAIGN_LEVELS, COUCH_WIDTH, COUCH_HEIGHT, SPECIAL_TYPES, formatRows, parseLevel,
+} from './game/levels.js';
+
+const CUSTOM_LEVELS_KEY = 'socksBoneHuntCustomLevels'; // [{ id, level }]
+const MAX_CUSTOM_LEVELS = 20;
+
+const isPlayable = (level) => {
+  try {
+    parseLevel(level);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Saved levels, skipping any that no longer pass the level schema
+export const loadCustomLevels = () =>
+  readJson(CUSTOM_LEVELS_KEY, []).filter(entry => entry && typeof entry.id === 'string' && isPlayable(entry.level));
+
+// Add a level, or replace the one with the same id. Returns the updated list.
+export const saveCustomLevel = (entry) => {
+  const others = loadCustomLevels().filter(other => other.id !== entry.id);
+  const updated = [...others, entry].slice(-MAX_CUSTOM_LEVELS);
+  writeJson(CUSTOM_LEVELS_KEY, updated);
+  return updated;
+};
+
+export const deleteCustomLevel = (id) => {
+  const updated = loadCustomLevels().filter(entry => entry.id !== id);
+  writeJson(CUSTOM_LEVELS_KEY, updated);
+  return updated;
+};
+
+export const createCustomLevelId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const centeredCouch = (width, height) => ({
+  x: Math.floor(width / 2) - 2,
+  y: Math.floor(height / 2) - 1,
+});
+
+// Starting point for a new level: one open room with Socks in the top-left
+// corner, the couch in the middle, two catchers in the far corners and a
+// grid of bones, tuned like the first campaign level
+export const createBlankLevel = (width = 21, height = 17) => {
+  const base = CAMPAIGN_LEVELS[0];
+  const maze = Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) =>
+    (x === 0 || y === 0 || x === width - 1 || y === height - 1 ? 1 : 0)));
+  const couch = centeredCouch(width, height);
+  const bones = [];
+  for (let y = 1; y < height - 1; y += 2) {
+    for (let x = 3; x < width - 1; x += 2) {
+      const onCouch = x >= couch.x && x < couch.x + COUCH_WIDTH && y >= couch.y && y < couch.y + COUCH_HEIGHT;
+      if (!onCouch) bones.push({ x, y });
+    }
+  }
+
+  return {
+    name: 'My Level',
+    size: { width, height },
+    colors: { wall: base.wallColor, floor: base.floorColor, accent: base.accentColor },
+    catchers: { roles: ['chaser', 'wanderer'], speed: base.catcherSpeed },
+    boneDensity: base.boneDensity,
+    specials: [...SPECIAL_TYPES],
+    couchTimeLimit: base.couchTimeLimit,
+    modeSchedule: [...base.modeSchedule],
+    goal: 'bones',
+    layout: {
+      rows: formatRows(maze),
+      spawn: { x: 1, y: 1 },
+      couch,
+      catchers: [{ x: width - 2, y: 1 }, { x: 1, y: height - 2 }],
+      bones,
+      treat: null,
+    },
+  };
+};
+
+// The same level on a grid of a different size. Tiles that still fit are
+// kept, the new edge becomes wall, and anything left outside is dropped
+// (or, for Socks and the couch, moved back inside).
+export const resizeLevel = (level, width, height) => {
+  const { layout } = level;
+  const rows = Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => {
+    if (x === 0 || y === 0 || x === width - 1 || y === height - 1) return '#';
+    return layout.rows[y]?.[x] === '.' || x >= level.size.width - 1 || y >= level.size.height - 1 ? '.' : '#';
+  }).join(''));
+
+  const fits = ({ x, y }) => x < width - 1 && y < height - 1;
+  const clamp = (value, max) => Math.max(1, Math.min(value, max));
+  const catchers = layout.catchers.map((pos, i) => ({ pos, role: level.catchers.roles[i] })).filter(({ pos }) => fits(pos));
+  return {
+    ...level,
+    size: { width, height },
+    catchers: { ...level.catchers, roles: catchers.map(({ role }) => role) },
+    layout: {
+      rows,
+      spawn: { x: clamp(layout.spawn.x, width - 2), y: clamp(layout.spawn.y, height - 2) },
+      couch: {
+        x: clamp(layout.couch.x, width - 1 - COUCH_WIDTH),
+        y: clamp(layout.couch.y, height - 1 - COUCH_HEIGHT),
+      },
+      catchers: catchers.map(({ pos }) => pos),
+      bones: layout.bones.filter(fits),
+      treat: layout.treat && fits(layout.treat) ? layout.treat : null,
+    },
+  };
+};
@@ -0,0 +1,64 @@
+// Daily Bone Hunt - everyone playing on the same calendar date (in UTC)
+// gets the same seed, and therefore the same three levels. Each date gets one
+// scored attempt and its own high score table.
+
+import { readJson, writeJson, writeJsonShrinking } from './storage.js';
+
+const DAILY_SCORES_KEY = 'socksBoneHuntDailyScores'; // { [date]: [record, ...] } - see highScores.js
+const DAILY_ATTEMPTS_KEY = 'socksBoneHuntDailyAttempts'; // [date, ...]
+const MAX_DAILY_SCORES = 5;
+const MAX_STORED_DAYS = 30;
+
+// The calendar date in UTC as YYYY-MM-DD, so the daily rolls over at the
+// same moment for everyone
+export const getDailyDate = (now = new Date()) => {
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(now.getUTCDate()).padStart(2, '0');
+  return `${now.getUTCFullYear()}-${month}-${day}`;
+};
+
+export const getDailySeed = (date) => `DAILY-${date}`;
+
+// The date a daily seed was made for, or null for any other seed
+export const getDailySeedDate = (seed) => seed.match(/^DAILY-(\d{4}-\d{2}-\d{2})$/)?.[1] ?? null;
+
+export const loadDailyScores = (date) => readJson(DAILY_SCORES_KEY, {})[date] ?? [];
+
+// Drop one replay to make room, from the oldest day that still has any
+const dropOldestDailyReplay = (all) => {
+  const date = Object.keys(all).sort().find(d => all[d].some(entry => entry.replay));
+  if (!date) return null;
+  const index = all[date].findIndex(entry => entry.replay);
+  return { ...all, [date]: all[date].map((entry, i) => (i === index ? { ...entry, replay: null } : entry)) };
+};
+
+// Returns { entries, saved, droppedReplays } with the updated table for
+// that date. Replays are dropped oldest first if storage is full.
+export const saveDailyScore = (date, entry) => {
+  const all = readJson(DAILY_SCORES_KEY, {});
+  const updated = [...(all[date] ?? []), entry]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DAILY_SCORES);
+
+  // Only keep the most recent days around
+  const dates = Object.keys({ ...all, [date]: updated }).sort().slice(-MAX_STORED_DAYS);
+  const pruned = Object.fromEntries(dates.map(d => [d, d === date ? updated : all[d]]));
+  const { value, saved, shrunk } = writeJsonShrinking(DAILY_SCORES_KEY, pruned, dropOldestDailyReplay);
+  return { entries: value[date], saved, droppedReplays: shrunk };
+};
+
+export const isDailyHighScore = (scores, newScore) => {
+  if (newScore === 0) return false;
+  if (scores.length < MAX_DAILY_SCORES) return true;
+  return newScore > scores[scores.length - 1].score;
+};
+
+export const hasPlayedDaily = (date) => readJson(DAILY_ATTEMPTS_KEY, []).includes(date);
+
+// Called as soon as the daily run starts, so quitting halfway doesn't
+// earn a second try
+export const markDailyPlayed = (date) => {
+  const attempts = readJson(DAILY_ATTEMPTS_KEY, []);
+  if (attempts.includes(date)) return;
+  writeJson(DAILY_ATTEMPTS_KEY, [...attempts, date].sort().slice(-MAX_STORED_DAYS));
+};
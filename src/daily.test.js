@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { getDailyDate, getDailySeed, getDailySeedDate } from './daily.js';
+
+describe('getDailyDate', () => {
+  it('gives everyone the same date at the same moment', () => {
+    // Late evening in California is already tomorrow in Tokyo - and in UTC
+    expect(getDailyDate(new Date('2026-03-01T23:30:00-08:00'))).toBe('2026-03-02');
+    expect(getDailyDate(new Date('2026-03-02T16:30:00+09:00'))).toBe('2026-03-02');
+  });
+
+  it('rolls over at midnight UTC', () => {
+    expect(getDailyDate(new Date('2026-12-31T23:59:59Z'))).toBe('2026-12-31');
+    expect(getDailyDate(new Date('2027-01-01T00:00:00Z'))).toBe('2027-01-01');
+  });
+
+  it('makes a seed that leads back to the date', () => {
+    expect(getDailySeedDate(getDailySeed('2026-03-02'))).toBe('2026-03-02');
+  });
+});
@@ -0,0 +1,865 @@
+// Headless game engine for Socks' Bone Hunt.
+//
+// Every game rule lives here so a run can be simulated without React:
+// createGame() builds the initial state, step() advances it by `dt`
+// milliseconds of play, and the action helpers at the bottom drive the
+// transitions triggered by buttons (start, pause, next level, ...).
+// None of these functions mutate their input - they always return a new
+// state object. Things the renderer should react to (fireworks, sounds,
+// overlays) are reported through `state.events`, which is replaced on
+// every call.
+//
+// All randomness comes from a seeded generator (see rng.js) whose state is
+// kept in `state.rngState`, so a run's seed fully determines the mazes,
+// bones, catcher decisions and special spawns.
+
+import { createRng, randomSeed } from './rng.js';
+import { distanceMap, distanceAt, stepDownhill, stepToward } from './pathfinding.js';
+import { CAMPAIGN_LEVELS, COUCH_WIDTH, COUCH_HEIGHT } from './levels.js';
+import { generateMaze, connectAll } from './mazes.js';
+import { findMazeProblems, repairMaze } from './mazeValidator.js';
+
+export { SPECIAL_TYPES, CATCHER_ROLES, COUCH_WIDTH, COUCH_HEIGHT } from './levels.js';
+
+// Bump whenever a rule change would make recorded replays play out
+// differently, so old recordings are refused instead of desyncing.
+export const RULES_VERSION = 8;
+
+export const MAX_LEVEL = CAMPAIGN_LEVELS.length;
+export const START_LIVES = 3;
+export const SPAWN_POINT = { x: 1, y: 1 };
+
+const SOCKS_MOVE_INTERVAL = 80; // ms between moves while a direction is held
+const SPECIAL_SPAWN_DELAY = 10000;
+const SPECIAL_LIFETIME = 20000;
+const SPECIAL_MOVE_INTERVAL = 900; // Half speed of level 1 catchers
+const TREAT_MOVE_INTERVAL = 630; // 30% faster than regular special items
+const FRIGHTENED_DURATION = 6000; // Catchers flee for this long after Socks eats a special
+export const FRIGHTENED_WARNING = 2000; // ...and blink for the last part of it
+const FRIGHTENED_SLOWDOWN = 1.5; // Fleeing catchers take this much longer per step
+const CATCHER_RESPAWN_DELAY = 4000;
+const MIN_SPAWN_DISTANCE = 5; // Keep spawns this many steps away from Socks
+const AMBUSH_LOOKAHEAD = 4; // Ambushers aim this many tiles ahead of Socks
+const PATROL_RADIUS = 3; // Bones this close together count as one cluster
+const PATROL_ALERT_DISTANCE = 5; // Patrollers leave their post when Socks is this close
+const WANDER_ALERT_DISTANCE = 4; // Wanderers only give chase this close
+const HOME_RADIUS = 2; // Scattering catchers circle this close to their home corner
+const CATCH_DISTANCE = 0.5; // Tiles between Socks and a catcher, as drawn, that counts as caught
+
+const BONE_POINTS = 10;
+const TREAT_POINTS = 500;
+const SPECIAL_POINTS = 1000;
+const CATCHER_POINTS = 1000;
+
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Settings for a level of the campaign - see levels.js for what's in them
+export const getLevelSettings = (lvl) => {
+  const settings = CAMPAIGN_LEVELS[lvl - 1];
+  if (!settings) throw new Error(`There is no level ${lvl}`);
+  return settings;
+};
+
+// Settings for the level being played - a custom level's own, otherwise
+// the campaign level's
+export const getCurrentLevelSettings = (state) => state.customLevel ?? getLevelSettings(state.level);
+
+// Where Socks starts on a level
+const spawnPointOf = (settings) => settings.layout?.spawn ?? SPAWN_POINT;
+
+// Each level gets its own maze from the run seed, independent of how
+// earlier levels were played
+export const getLevelSeed = (seed, lvl) => `${seed}/${lvl}`;
+
+// Size of a maze grid in tiles
+export const getMazeSize = (maze) => ({ width: maze[0].length, height: maze.length });
+
+export const placeBones = (maze, rng, density) => {
+  const bones = [];
+  const { width, height } = getMazeSize(maze);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (maze[y][x] === 0 && !(x === SPAWN_POINT.x && y === SPAWN_POINT.y)) {
+        if (rng.next() < density) {
+          bones.push({ x, y });
+        }
+      }
+    }
+  }
+  return bones;
+};
+
+// A level's maze with the couch cut out of it and every floor tile
+// reachable from the spawn point. Hand-made layouts are taken as they are;
+// startLevel() repairs them if need be.
+const buildLevelMaze = (rng, settings) => {
+  if (settings.layout) {
+    const maze = settings.layout.maze.map(row => [...row]);
+    const couch = { ...settings.layout.couch };
+    openCouch(maze, couch);
+    return { maze, couch };
+  }
+  const maze = generateMaze(rng, settings.width, settings.height, settings.generator);
+  const couch = carveCouch(maze);
+  connectAll(maze, SPAWN_POINT);
+  return { maze, couch };
+};
+
+// Turn the tiles under the couch into floor
+const openCouch = (maze, couch) => {
+  const { width, height } = getMazeSize(maze);
+  for (let dy = 0; dy < COUCH_HEIGHT; dy++) {
+    for (let dx = 0; dx < COUCH_WIDTH; dx++) {
+      if (couch.y + dy < height && couch.x + dx < width) {
+        maze[couch.y + dy][couch.x + dx] = 0;
+      }
+    }
+  }
+};
+
+// Carve out the couch area in the center of the maze, plus a hallway all
+// the way around it. Catchers can't cross the couch, so without the hallway
+// any corridor that used to run through it would be cut off from them.
+// Mutates the freshly generated maze.
+const carveCouch = (maze) => {
+  const { width, height } = getMazeSize(maze);
+  const couch = {
+    x: Math.floor(width / 2) - 2,
+    y: Math.floor(height / 2) - 1,
+  };
+
+  openCouch(maze, couch);
+  // Hallway, stopping short of the outer wall
+  for (let y = couch.y - 1; y <= couch.y + COUCH_HEIGHT; y++) {
+    for (let x = couch.x - 1; x <= couch.x + COUCH_WIDTH; x++) {
+      if (x > 0 && x < width - 1 && y > 0 && y < height - 1) maze[y][x] = 0;
+    }
+  }
+
+  return couch;
+};
+
+// Where a level's catchers start, before the maze check moves any that
+// don't fit the maze
+const catcherSpawnPoints = (settings) => {
+  const { width, height } = settings;
+  return [
+    { x: width - 2, y: 1 },
+    { x: 1, y: height - 2 },
+    { x: width - 2, y: height - 2 },
+    { x: Math.floor(width / 2), y: 1 },
+    { x: Math.floor(width / 2), y: height - 2 },
+  ].slice(0, settings.catcherCount);
+};
+
+export const createCatchers = (settings, spawns = catcherSpawnPoints(settings)) =>
+  spawns.map((pos, i) => ({
+    ...pos,
+    id: i + 1,
+    role: settings.catcherRoles[i],
+    home: { ...pos }, // Corner it returns to while scattering
+    from: { ...pos }, // Tile it's sliding over from (see getCatcherRenderPosition())
+    heading: null, // Last step taken, { dx, dy }
+    frightened: false,
+  }));
+
+export const isOnCouch = (couch, { x, y }) =>
+  x >= couch.x && x < couch.x + COUCH_WIDTH &&
+  y >= couch.y && y < couch.y + COUCH_HEIGHT;
+
+// The parts of a level the maze validator looks at
+const levelLayout = ({ maze, couch, bones }, catchers, spawn) => ({
+  maze,
+  spawn,
+  bones,
+  catchers,
+  isCatcherBlocked: (x, y) => isOnCouch(couch, { x, y }),
+});
+
+// Problems with the current level's layout, as listed by findMazeProblems()
+// in mazeValidator.js. Always empty for levels built by startLevel().
+export const findLevelProblems = (state) => findMazeProblems(
+  levelLayout(state, state.catcherSpawns, spawnPointOf(getCurrentLevelSettings(state))),
+  { catcherSafeDistance: MIN_SPAWN_DISTANCE },
+);
+
+// Bones under the couch or on the "Place" label below it can't be eaten,
+// so startLevel() leaves them out
+const isBoneHidden = (couch, bone) => isOnCouch(couch, bone) ||
+  (bone.x >= couch.x + 1 && bone.x < couch.x + 4 && bone.y === couch.y + COUCH_HEIGHT);
+
+// Problems with a hand-made level as drawn, before startLevel() repairs
+// them - for the level editor. Besides what findMazeProblems() finds:
+// boneUnderCouch for each bone that will be left out, and noBones if that
+// leaves none, since the level could then never be cleared.
+export const findLayoutProblems = (settings) => {
+  const { maze, couch } = buildLevelMaze(null, settings);
+  const bones = settings.layout.bones.filter(bone => !isBoneHidden(couch, bone));
+  return [
+    ...(bones.length === 0 ? [{ type: 'noBones' }] : []),
+    ...settings.layout.bones.filter(bone => isBoneHidden(couch, bone)).map(({ x, y }) => ({ type: 'boneUnderCouch', x, y })),
+    ...findMazeProblems(
+      levelLayout({ maze, couch, bones }, settings.layout.catchers, settings.layout.spawn),
+      { catcherSafeDistance: MIN_SPAWN_DISTANCE },
+    ),
+  ];
+};
+
+// Socks is safe from catchers while sitting on the couch
+export const isInSafeZone = (state) => isOnCouch(state.couch, state.socks);
+
+// `heading` is the last step Socks took; `direction` is only which way the
+// sprite faces. `from` is the tile Socks is sliding over from, and
+// `queuedTurn` a buffered direction waiting for an opening.
+const spawnSocks = (settings) => {
+  const spawn = spawnPointOf(settings);
+  return { ...spawn, from: { ...spawn }, direction: 'right', heading: null, queuedTurn: null };
+};
+
+const isOpen = (maze, x, y) => maze[y]?.[x] === 0;
+
+const openMoves = (maze, { x, y }) =>
+  DIRECTIONS
+    .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+    .filter(pos => isOpen(maze, pos.x, pos.y));
+
+// Catchers never set foot on the couch
+const catcherBlocked = (state) => (x, y) => isOnCouch(state.couch, { x, y });
+
+const catcherMoves = (state, pos) => openMoves(state.maze, pos).filter(next => !isOnCouch(state.couch, next));
+
+// Open tiles right outside the couch, where Socks lands when kicked off
+const couchExits = (state) => {
+  const { couch, maze } = state;
+  const exits = [];
+  for (let y = couch.y - 1; y <= couch.y + COUCH_HEIGHT; y++) {
+    for (let x = couch.x - 1; x <= couch.x + COUCH_WIDTH; x++) {
+      if (!isOnCouch(couch, { x, y }) && isOpen(maze, x, y)) exits.push({ x, y });
+    }
+  }
+  return exits;
+};
+
+// Open tiles far enough from Socks and off the couch - used for special
+// items, the dog treat and respawning catchers
+const findSpawnPositions = (state) => {
+  const positions = [];
+  const { width, height } = getMazeSize(state.maze);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (state.maze[y][x] !== 0) continue;
+      const distFromSocks = Math.abs(x - state.socks.x) + Math.abs(y - state.socks.y);
+      if (distFromSocks > MIN_SPAWN_DISTANCE && !isOnCouch(state.couch, { x, y })) {
+        positions.push({ x, y });
+      }
+    }
+  }
+  return positions;
+};
+
+const emit = (draft, type, payload = {}) => {
+  draft.events.push({ type, ...payload });
+};
+
+const wanderStep = (maze, pos, rng) => {
+  const moves = openMoves(maze, pos);
+  return moves.length > 0 ? rng.pick(moves) : pos;
+};
+
+const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+// The last open tile up to AMBUSH_LOOKAHEAD steps ahead of Socks
+const ambushTarget = (maze, socks) => {
+  if (!socks.heading) return socks;
+  let target = socks;
+  for (let i = 0; i < AMBUSH_LOOKAHEAD; i++) {
+    const x = target.x + socks.heading.dx;
+    const y = target.y + socks.heading.dy;
+    if (!isOpen(maze, x, y)) break;
+    target = { x, y };
+  }
+  return target;
+};
+
+// The bone with the most other bones around it
+const findBoneCluster = (bones) => {
+  let best = null;
+  let bestCount = -1;
+  for (const bone of bones) {
+    const count = bones.filter(other => manhattan(bone, other) <= PATROL_RADIUS).length;
+    if (count > bestCount) {
+      best = bone;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+// Random step that avoids turning back unless it's a dead end
+const roamStep = (draft, catcher, rng, allowed = () => true) => {
+  const moves = catcherMoves(draft, catcher).filter(allowed);
+  if (moves.length === 0) return catcher;
+  const forward = moves.filter(pos => !catcher.heading ||
+    pos.x !== catcher.x - catcher.heading.dx || pos.y !== catcher.y - catcher.heading.dy);
+  return rng.pick(forward.length > 0 ? forward : moves);
+};
+
+// Where a catcher goes next depends on its role:
+//   chaser    - shortest path straight to Socks
+//   ambusher  - heads for the tiles in front of Socks to cut Socks off
+//   patroller - guards the biggest bone cluster, chasing when Socks comes near
+//   wanderer  - roams the maze and only chases at close range
+// `toSocks` is a distance map from Socks' tile shared by all catchers.
+const chooseCatcherMove = (draft, catcher, toSocks, rng) => {
+  const { maze, socks } = draft;
+  const blocked = catcherBlocked(draft);
+  const socksDistance = distanceAt(maze, toSocks, catcher);
+  const chase = () => stepDownhill(maze, catcher, toSocks, blocked);
+
+  switch (catcher.role) {
+    case 'ambusher': {
+      const target = ambushTarget(maze, socks);
+      if (socksDistance <= 2 || manhattan(catcher, target) === 0) return chase();
+      return stepToward(maze, catcher, target, blocked);
+    }
+    case 'patroller': {
+      const post = findBoneCluster(draft.bones);
+      if (!post || socksDistance <= PATROL_ALERT_DISTANCE) return chase();
+      if (manhattan(catcher, post) > PATROL_RADIUS) return stepToward(maze, catcher, post, blocked);
+      return roamStep(draft, catcher, rng, pos => manhattan(pos, post) <= PATROL_RADIUS);
+    }
+    case 'wanderer':
+      if (socksDistance <= WANDER_ALERT_DISTANCE) return chase();
+      return roamStep(draft, catcher, rng);
+    default:
+      return chase();
+  }
+};
+
+// Frightened catchers take whichever step puts the most maze between them
+// and Socks
+const fleeStep = (draft, catcher, toSocks, rng) => {
+  const moves = catcherMoves(draft, catcher);
+  if (moves.length === 0) return null;
+  const farthest = Math.max(...moves.map(pos => distanceAt(draft.maze, toSocks, pos)));
+  return rng.pick(moves.filter(pos => distanceAt(draft.maze, toSocks, pos) === farthest));
+};
+
+const scatterStep = (draft, catcher, rng) => {
+  const { home } = catcher;
+  if (manhattan(catcher, home) > HOME_RADIUS) return stepToward(draft.maze, catcher, home, catcherBlocked(draft));
+  return roamStep(draft, catcher, rng, pos => manhattan(pos, home) <= HOME_RADIUS);
+};
+
+// Scatter, chase or frightened. Frightened is per catcher, since catchers
+// that come back mid-fright aren't scared any more. Catchers lose track of
+// Socks on the couch and scatter until Socks comes back out.
+export const getCatcherMode = (state, catcher) => {
+  if (catcher.frightened) return 'frightened';
+  return isInSafeZone(state) ? 'scatter' : state.catcherMode;
+};
+
+const catcherStep = (draft, catcher, toSocks, rng) => {
+  const mode = getCatcherMode(draft, catcher);
+  const move = mode === 'frightened' ? fleeStep(draft, catcher, toSocks, rng)
+    : mode === 'scatter' ? scatterStep(draft, catcher, rng)
+    : chooseCatcherMove(draft, catcher, toSocks, rng);
+  // Fall back to roaming when the target can't be reached
+  const next = move ?? roamStep(draft, catcher, rng);
+  const from = { x: catcher.x, y: catcher.y };
+  if (next.x === catcher.x && next.y === catcher.y) return { ...catcher, from };
+  return { ...catcher, x: next.x, y: next.y, from, heading: { dx: next.x - catcher.x, dy: next.y - catcher.y } };
+};
+
+const spawnDogTreat = (draft, rng) => {
+  const positions = findSpawnPositions(draft);
+  if (positions.length === 0) return;
+  draft.dogTreat = getCurrentLevelSettings(draft).layout?.treat ?? rng.pick(positions);
+  draft.timers.treatMove = 0;
+  draft.gameState = 'paused'; // Pause for the treat message
+  emit(draft, 'treatSpawned', { ...draft.dogTreat });
+};
+
+// Clearing the last level of the run (or a custom level) wins the game
+const completeLevel = (draft) => {
+  if (!draft.customLevel && draft.level < draft.config.maxLevel) {
+    draft.gameState = 'levelComplete';
+    emit(draft, 'levelComplete', { level: draft.level });
+  } else {
+    draft.gameState = 'won';
+    emit(draft, 'won', { score: draft.score, mode: draft.mode });
+  }
+};
+
+const collectItems = (draft, rng) => {
+  const { socks } = draft;
+
+  const boneIndex = draft.bones.findIndex(b => b.x === socks.x && b.y === socks.y);
+  if (boneIndex !== -1) {
+    draft.bones = draft.bones.filter((_, i) => i !== boneIndex);
+    draft.score += BONE_POINTS;
+    emit(draft, 'boneCollected', { x: socks.x, y: socks.y });
+
+    if (draft.bones.length === 0) {
+      if (getCurrentLevelSettings(draft).goal === 'treat') {
+        // One more challenge: fetch the dog treat
+        spawnDogTreat(draft, rng);
+      } else {
+        completeLevel(draft);
+      }
+      return;
+    }
+  }
+
+  if (draft.dogTreat && !draft.hasDogTreat && draft.dogTreat.x === socks.x && draft.dogTreat.y === socks.y) {
+    draft.hasDogTreat = true;
+    draft.dogTreat = null;
+    draft.score += TREAT_POINTS;
+    emit(draft, 'treatCollected', { x: socks.x, y: socks.y });
+  }
+
+  // Delivering the treat to the couch clears the level
+  if (draft.hasDogTreat && isInSafeZone(draft)) {
+    draft.hasDogTreat = false;
+    completeLevel(draft);
+    return;
+  }
+
+  const item = draft.specialItem;
+  if (item && item.x === socks.x && item.y === socks.y) {
+    draft.score += SPECIAL_POINTS;
+    draft.collectedSpecials = [...draft.collectedSpecials, item.type];
+    draft.specialItem = null;
+    draft.timers.specialSpawn = SPECIAL_SPAWN_DELAY;
+    draft.timers.catcherMove = 0;
+    draft.frightenedTimer = FRIGHTENED_DURATION;
+    draft.catchers = draft.catchers.map(catcher => ({ ...catcher, frightened: true }));
+    emit(draft, 'specialCollected', { item });
+  }
+};
+
+// Moves happen on the grid all at once, but are drawn as a slide from the
+// previous tile that takes until the next move is due: SOCKS_MOVE_INTERVAL
+// for Socks, the catcher step interval for catchers. Positions are in
+// tiles and may be fractional.
+const slidePosition = (actor, progress) => {
+  const t = Math.max(0, Math.min(1, progress));
+  return { x: actor.from.x + (actor.x - actor.from.x) * t, y: actor.from.y + (actor.y - actor.from.y) * t };
+};
+
+export const getSocksRenderPosition = (state) =>
+  slidePosition(state.socks, 1 - state.timers.socksMove / SOCKS_MOVE_INTERVAL);
+
+export const getCatcherRenderPosition = (state, catcher) =>
+  slidePosition(catcher, state.timers.catcherMove / catcherMoveInterval(state));
+
+const samePos = (a, b) => a.x === b.x && a.y === b.y;
+
+// Where Socks and the catchers stood when a tick began
+const tickStart = (state) => ({
+  socks: { x: state.socks.x, y: state.socks.y },
+  catchers: new Map(state.catchers.map(c => [c.id, { x: c.x, y: c.y }])),
+});
+
+// Socks meets a catcher by:
+//   - sharing a tile with it once everyone has moved
+//   - swapping tiles with it in the same tick (they crossed on the way)
+//   - being drawn overlapping it, so they can't slide through each other
+//     on moves a few ticks apart either
+// A catcher that only just respawned has no start position and can't have
+// crossed anyone.
+const isTouching = (state, catcher, start) => {
+  const { socks } = state;
+  if (samePos(catcher, socks)) return true;
+  const catcherStart = start.catchers.get(catcher.id);
+  if (catcherStart && samePos(catcherStart, socks) && samePos(catcher, start.socks)) return true;
+  const a = getSocksRenderPosition(state);
+  const b = getCatcherRenderPosition(state, catcher);
+  return (a.x - b.x) ** 2 + (a.y - b.y) ** 2 < CATCH_DISTANCE ** 2;
+};
+
+// Runs once a tick, after everything has moved
+const resolveCatcherCollisions = (draft, start) => {
+  if (draft.gameState !== 'playing' || isInSafeZone(draft)) return;
+
+  const { socks } = draft;
+  const caught = draft.catchers.filter(c => isTouching(draft, c, start));
+  if (caught.length === 0) return;
+
+  // Eat the frightened catchers! They come back after a short delay.
+  const eaten = caught.filter(c => c.frightened);
+  if (eaten.length > 0) {
+    draft.catchers = draft.catchers.filter(c => !eaten.includes(c));
+    draft.pendingRespawns = [
+      ...draft.pendingRespawns,
+      ...eaten.map(catcher => ({ delay: CATCHER_RESPAWN_DELAY, role: catcher.role, home: catcher.home })),
+    ];
+    for (const catcher of eaten) {
+      draft.score += CATCHER_POINTS;
+      draft.catchersEaten += 1;
+      emit(draft, 'catcherEaten', { id: catcher.id, x: socks.x, y: socks.y });
+    }
+  }
+  if (eaten.length === caught.length) return;
+
+  draft.lives -= 1;
+  if (draft.lives <= 0) {
+    draft.gameState = 'lost';
+    emit(draft, 'lost', { score: draft.score, mode: draft.mode });
+  } else {
+    draft.gameState = 'caught';
+    emit(draft, 'caught', { lives: draft.lives });
+  }
+};
+
+const stepSocks = (draft, direction, rng) => {
+  const x = draft.socks.x + direction.dx;
+  const y = draft.socks.y + direction.dy;
+  const facing = direction.dx > 0 ? 'right' : direction.dx < 0 ? 'left' : draft.socks.direction;
+  const from = { x: draft.socks.x, y: draft.socks.y };
+  draft.socks = { ...draft.socks, x, y, from, direction: facing, heading: { dx: direction.dx, dy: direction.dy } };
+  collectItems(draft, rng);
+};
+
+// With input buffering on, a direction that's blocked right now is queued
+// instead of dropped: Socks keeps going the way it was heading and takes
+// the turn at the first tile where it opens up (or stops at a dead end).
+// The queue outlives the key press, so tapping a turn early is enough.
+const moveSocks = (draft, direction, dt, rng) => {
+  draft.timers.socksMove = Math.max(0, draft.timers.socksMove - dt);
+  const buffering = draft.config.inputBuffering;
+  if (buffering && direction) draft.socks = { ...draft.socks, queuedTurn: direction };
+  const turn = buffering ? draft.socks.queuedTurn : direction;
+  if (!turn || draft.timers.socksMove > 0) return;
+
+  const { x, y, heading } = draft.socks;
+  let next = null;
+  if (isOpen(draft.maze, x + turn.dx, y + turn.dy)) next = turn;
+  else if (buffering && heading && isOpen(draft.maze, x + heading.dx, y + heading.dy)) next = heading;
+  // The turn stays queued only while Socks carries on past it
+  if (buffering && (!next || next === turn)) draft.socks = { ...draft.socks, queuedTurn: null };
+  // Without buffering, walking into a wall still uses up the step; with it,
+  // Socks waits ready to take the turn the moment it opens
+  if (next || !buffering) draft.timers.socksMove = SOCKS_MOVE_INTERVAL;
+  if (next) stepSocks(draft, next, rng);
+};
+
+// Socks may only sit on the couch so long in one go before getting kicked
+// off - onto the exit farthest from any catcher
+const updateCouch = (draft, dt, rng) => {
+  if (!isInSafeZone(draft)) {
+    draft.timers.couch = 0;
+    return;
+  }
+  draft.timers.couch += dt;
+  if (draft.timers.couch < getCurrentLevelSettings(draft).couchTimeLimit) return;
+
+  const clearance = (pos) => Math.min(Infinity, ...draft.catchers.map(c => manhattan(c, pos)));
+  const exit = couchExits(draft).reduce((best, pos) => (!best || clearance(pos) > clearance(best) ? pos : best), null);
+  draft.timers.couch = 0;
+  if (!exit) return;
+  draft.socks = { ...draft.socks, x: exit.x, y: exit.y, from: { x: exit.x, y: exit.y } };
+  emit(draft, 'kickedOffCouch', { x: exit.x, y: exit.y });
+  collectItems(draft, rng);
+};
+
+// Runs the level's scatter/chase schedule. The schedule clock stands still
+// while the catchers are frightened.
+const updateCatcherMode = (draft, dt) => {
+  if (draft.frightenedTimer > 0) {
+    draft.frightenedTimer = Math.max(0, draft.frightenedTimer - dt);
+    if (draft.frightenedTimer === 0) {
+      draft.catchers = draft.catchers.map(catcher => ({ ...catcher, frightened: false }));
+      emit(draft, 'frightenedEnded');
+    }
+    return;
+  }
+
+  const { modeSchedule } = getCurrentLevelSettings(draft);
+  if (draft.modePhase >= modeSchedule.length) return; // Chasing for good
+
+  draft.timers.catcherMode -= dt;
+  if (draft.timers.catcherMode > 0) return;
+  draft.modePhase += 1;
+  draft.catcherMode = draft.modePhase % 2 === 0 ? 'scatter' : 'chase';
+  draft.timers.catcherMode += modeSchedule[draft.modePhase] ?? 0;
+  emit(draft, 'catcherModeChanged', { mode: draft.catcherMode });
+};
+
+export const catcherMoveInterval = (state) => {
+  const { catcherSpeed } = getCurrentLevelSettings(state);
+  return state.frightenedTimer > 0 ? catcherSpeed * FRIGHTENED_SLOWDOWN : catcherSpeed;
+};
+
+const moveCatchers = (draft, dt, rng) => {
+  const interval = catcherMoveInterval(draft);
+  draft.timers.catcherMove += dt;
+  if (draft.timers.catcherMove < interval) return;
+
+  draft.timers.catcherMove -= interval;
+  const toSocks = distanceMap(draft.maze, draft.socks, catcherBlocked(draft));
+  draft.catchers = draft.catchers.map(catcher => catcherStep(draft, catcher, toSocks, rng));
+};
+
+const updateRespawns = (draft, dt, rng) => {
+  if (draft.pendingRespawns.length === 0) return;
+
+  const waiting = [];
+  for (const respawn of draft.pendingRespawns) {
+    const delay = respawn.delay - dt;
+    if (delay > 0) {
+      waiting.push({ ...respawn, delay });
+      continue;
+    }
+    const spawn = spawnPointOf(getCurrentLevelSettings(draft));
+    const positions = findSpawnPositions(draft)
+      .filter(pos => !(pos.x === spawn.x && pos.y === spawn.y));
+    const pos = positions.length > 0
+      ? rng.pick(positions)
+      : respawn.home; // Fallback
+    const catcher = {
+      id: draft.nextCatcherId, x: pos.x, y: pos.y,
+      role: respawn.role, home: respawn.home, from: { x: pos.x, y: pos.y }, heading: null, frightened: false,
+    };
+    draft.nextCatcherId += 1;
+    draft.catchers = [...draft.catchers, catcher];
+    emit(draft, 'catcherRespawned', { ...catcher });
+  }
+  draft.pendingRespawns = waiting;
+};
+
+// Special items appear one at a time with 10s spacing, each type only
+// once per level, wander around and disappear after 20 seconds
+const updateSpecialItem = (draft, dt, rng) => {
+  const { timers } = draft;
+
+  if (!draft.specialItem) {
+    const availableTypes = getCurrentLevelSettings(draft).specialTypes
+      .filter(t => !draft.spawnedSpecials.includes(t));
+    if (availableTypes.length === 0) return;
+
+    timers.specialSpawn -= dt;
+    if (timers.specialSpawn > 0) return;
+    timers.specialSpawn = SPECIAL_SPAWN_DELAY;
+
+    const positions = findSpawnPositions(draft);
+    if (positions.length === 0) return;
+    const pos = rng.pick(positions);
+    const type = rng.pick(availableTypes);
+    draft.specialItem = { type, x: pos.x, y: pos.y };
+    draft.spawnedSpecials = [...draft.spawnedSpecials, type];
+    timers.specialDespawn = SPECIAL_LIFETIME;
+    timers.specialMove = 0;
+    emit(draft, 'specialSpawned', { item: draft.specialItem });
+    return;
+  }
+
+  timers.specialDespawn -= dt;
+  if (timers.specialDespawn <= 0) {
+    emit(draft, 'specialExpired', { item: draft.specialItem });
+    draft.specialItem = null;
+    timers.specialSpawn = SPECIAL_SPAWN_DELAY;
+    return;
+  }
+
+  timers.specialMove += dt;
+  if (timers.specialMove < SPECIAL_MOVE_INTERVAL) return;
+  timers.specialMove -= SPECIAL_MOVE_INTERVAL;
+  const pos = wanderStep(draft.maze, draft.specialItem, rng);
+  draft.specialItem = { ...draft.specialItem, x: pos.x, y: pos.y };
+  collectItems(draft, rng);
+};
+
+const updateDogTreat = (draft, dt, rng) => {
+  if (!draft.dogTreat) return;
+
+  draft.timers.treatMove += dt;
+  if (draft.timers.treatMove < TREAT_MOVE_INTERVAL) return;
+
+  draft.timers.treatMove -= TREAT_MOVE_INTERVAL;
+  const pos = wanderStep(draft.maze, draft.dogTreat, rng);
+  draft.dogTreat = { x: pos.x, y: pos.y };
+  collectItems(draft, rng);
+};
+
+const initialTimers = (settings) => ({
+  socksMove: 0,
+  catcherMove: 0,
+  catcherMode: settings.modeSchedule[0],
+  couch: 0, // ms Socks has been sitting on the couch
+  specialSpawn: SPECIAL_SPAWN_DELAY,
+  specialDespawn: 0,
+  specialMove: 0,
+  treatMove: 0,
+});
+
+// Build a fresh game sitting on the start screen.
+// config: { maxLevel, lives, seed, inputBuffering }
+export const createGame = (config = {}) => {
+  const fullConfig = {
+    maxLevel: config.maxLevel ?? MAX_LEVEL,
+    lives: config.lives ?? START_LIVES,
+    inputBuffering: config.inputBuffering ?? false,
+  };
+  const seed = config.seed ?? randomSeed();
+  const rng = createRng(getLevelSeed(seed, 1));
+  const settings = getLevelSettings(1);
+  const { maze, couch } = buildLevelMaze(rng, settings);
+  return {
+    config: fullConfig,
+    seed,
+    mode: 'classic', // classic, daily, custom
+    customLevel: null, // Settings of the custom level being played, if any
+    gameState: 'start', // start, playing, paused, caught, levelComplete, won, lost
+    level: 1,
+    lives: fullConfig.lives,
+    score: 0,
+    maze,
+    couch,
+    socks: spawnSocks(settings),
+    bones: [],
+    catchers: [],
+    catcherSpawns: [], // Where this level's catchers start, after the maze check
+    nextCatcherId: 1,
+    pendingRespawns: [],
+    specialItem: null, // { type: 'drumstick'|'pizza'|'cookie'|'tennis'|'cheese', x, y }
+    spawnedSpecials: [], // Which types have already spawned this level
+    collectedSpecials: [],
+    catchersEaten: 0, // This run
+    playTime: 0, // ms spent playing this run, not counting pauses and interludes
+    catcherMode: 'scatter', // scatter, chase - see getCatcherMode() for frightened
+    modePhase: 0, // Index into the level's modeSchedule
+    frightenedTimer: 0, // ms the catchers have left fleeing after Socks ate a special
+    dogTreat: null, // { x, y } - final level only
+    hasDogTreat: false, // Socks is carrying the treat
+    timers: initialTimers(settings),
+    rngState: rng.state,
+    events: [],
+  };
+};
+
+// Advance the game by `dt` milliseconds. `input.direction` is the held
+// direction ({ dx, dy }) or null. Nothing happens unless the game is playing.
+export const step = (state, input = {}, dt = 0) => {
+  if (state.gameState !== 'playing') {
+    return state.events.length > 0 ? { ...state, events: [] } : state;
+  }
+
+  // Work on a shallow copy; phases may mutate its timers and events freely.
+  // Everyone moves first, then collisions are settled in one go.
+  const draft = { ...state, timers: { ...state.timers }, events: [], playTime: state.playTime + dt };
+  const rng = createRng(state.rngState);
+  const start = tickStart(state);
+  const phases = [
+    () => updateCatcherMode(draft, dt),
+    () => moveSocks(draft, input.direction, dt, rng),
+    () => updateCouch(draft, dt, rng),
+    () => moveCatchers(draft, dt, rng),
+    () => updateRespawns(draft, dt, rng),
+    () => updateSpecialItem(draft, dt, rng),
+    () => updateDogTreat(draft, dt, rng),
+    () => resolveCatcherCollisions(draft, start),
+  ];
+  for (const phase of phases) {
+    if (draft.gameState !== 'playing') break;
+    phase();
+  }
+  draft.rngState = rng.state;
+  return draft;
+};
+
+export const startLevel = (state, lvl) => {
+  const rng = createRng(getLevelSeed(state.seed, lvl));
+  const settings = getCurrentLevelSettings({ ...state, level: lvl });
+  const generated = buildLevelMaze(rng, settings);
+  const { couch } = generated;
+
+  // Place bones but avoid the couch area and the "Place" label below it
+  const placedBones = (settings.layout?.bones ?? placeBones(generated.maze, rng, settings.boneDensity))
+    .filter(bone => !isBoneHidden(couch, bone));
+
+  // Make sure everything can be reached and no catcher starts next to Socks
+  const { maze, bones, catchers: catcherSpawns } = repairMaze(
+    levelLayout(
+      { maze: generated.maze, couch, bones: placedBones },
+      settings.layout?.catchers ?? catcherSpawnPoints(settings),
+      spawnPointOf(settings),
+    ),
+    { catcherSafeDistance: MIN_SPAWN_DISTANCE },
+  );
+  const catchers = createCatchers(settings, catcherSpawns);
+
+  return {
+    ...state,
+    gameState: 'playing',
+    level: lvl,
+    maze,
+    couch,
+    socks: spawnSocks(settings),
+    bones,
+    catchers,
+    catcherSpawns,
+    nextCatcherId: catchers.length + 1,
+    pendingRespawns: [],
+    specialItem: null,
+    spawnedSpecials: [],
+    catcherMode: 'scatter',
+    modePhase: 0,
+    frightenedTimer: 0,
+    dogTreat: null,
+    hasDogTreat: false,
+    timers: initialTimers(settings),
+    rngState: rng.state,
+    events: [{ type: 'levelStart', level: lvl }],
+  };
+};
+
+// Start a new run, optionally skipping straight to a later level. Without
+// a seed every run gets a fresh random one. `mode` is only recorded so the
+// renderer knows which score table the run belongs to. Passing
+// `customLevel` (settings from parseLevel()) plays that one level instead
+// of the campaign.
+export const startGame = (state, { level = 1, seed = randomSeed(), mode = 'classic', customLevel = null } = {}) => startLevel({
+  ...state,
+  seed,
+  mode: customLevel ? 'custom' : mode,
+  customLevel,
+  lives: state.config.lives,
+  score: 0,
+  collectedSpecials: [],
+  catchersEaten: 0,
+  playTime: 0,
+}, level);
+
+export const nextLevel = (state) => startLevel(state, state.level + 1);
+
+export const togglePause = (state) => {
+  if (state.gameState === 'playing') return { ...state, gameState: 'paused', events: [] };
+  if (state.gameState === 'paused') return { ...state, gameState: 'playing', events: [] };
+  return state;
+};
+
+export const resumeGame = (state) =>
+  state.gameState === 'paused' ? { ...state, gameState: 'playing', events: [] } : state;
+
+// Put Socks back at the spawn point after losing a life
+export const respawnAfterCatch = (state) => {
+  const settings = getCurrentLevelSettings(state);
+  const catchers = createCatchers(settings, state.catcherSpawns);
+  return {
+    ...state,
+    gameState: 'playing',
+    socks: spawnSocks(settings),
+    catchers,
+    nextCatcherId: Math.max(state.nextCatcherId, catchers.length + 1),
+    pendingRespawns: [],
+    // The catchers regroup: back to the start of the scatter/chase schedule
+    catcherMode: 'scatter',
+    modePhase: 0,
+    frightenedTimer: 0,
+    timers: { ...state.timers, catcherMove: 0, catcherMode: settings.modeSchedule[0], couch: 0 },
+    events: [{ type: 'socksRespawned' }],
+  };
+};
+
+export const resetGame = (state) => createGame(state.config);
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, startGame, step, catcherMoveInterval, findLayoutProblems } from './engine.js';
+import { parseLevel } from './levels.js';
+import { TICK_MS } from './replay.js';
+import { createBlankLevel } from '../customLevels.js';
+
+const RIGHT = { dx: 1, dy: 0 };
+
+// A one-tile-high corridor from (1, 1) to (7, 1), walled in all round, with
+// the couch off to the side. Catchers chase for good and Socks is ready to
+// move on the next tick.
+const arena = ({ socks, catchers = [], couch = { x: 20, y: 20 }, ...overrides }) => {
+  const game = startGame(createGame(), { seed: 'TEST' });
+  return {
+    ...game,
+    maze: [
+      [1, 1, 1, 1, 1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 0, 0, 0, 0, 1],
+      [1, 1, 1, 1, 1, 1, 1, 1, 1],
+    ],
+    bones: [{ x: 1, y: 1 }],
+    specialItem: null,
+    dogTreat: null,
+    couch,
+    catcherMode: 'chase',
+    modePhase: Infinity,
+    pendingRespawns: [],
+    socks: { ...game.socks, ...socks, from: { ...socks }, heading: null, queuedTurn: null },
+    catchers: catchers.map((catcher, i) => ({
+      id: i, role: 'chaser', home: { x: 7, y: 1 }, heading: null, frightened: false,
+      ...catcher, from: { x: catcher.x, y: catcher.y },
+    })),
+    timers: { ...game.timers, socksMove: 0, catcherMove: 0 },
+    ...overrides,
+  };
+};
+
+// Lines the catchers up to take their step on the coming tick
+const catchersDue = (state) => ({
+  ...state,
+  timers: { ...state.timers, catcherMove: catcherMoveInterval(state) - TICK_MS },
+});
+
+const eventTypes = (state) => state.events.map(event => event.type);
+
+describe('catcher collisions', () => {
+  it('catches Socks on a tile both moved onto this tick', () => {
+    const state = catchersDue(arena({ socks: { x: 3, y: 1 }, catchers: [{ x: 5, y: 1 }] }));
+    const next = step(state, { direction: RIGHT }, TICK_MS);
+
+    expect(next.socks).toMatchObject({ x: 4, y: 1 });
+    expect(next.catchers[0]).toMatchObject({ x: 4, y: 1 });
+    expect(next.gameState).toBe('caught');
+    expect(next.lives).toBe(state.lives - 1);
+  });
+
+  it('leaves Socks alone when both move but end up apart', () => {
+    const state = catchersDue(arena({ socks: { x: 3, y: 1 }, catchers: [{ x: 6, y: 1 }] }));
+    const next = step(state, { direction: RIGHT }, TICK_MS);
+
+    expect(next.catchers[0]).toMatchObject({ x: 5, y: 1 });
+    expect(next.gameState).toBe('playing');
+  });
+
+  it('catches Socks swapping tiles with a catcher in the same tick', () => {
+    // The catcher is in the dead end, so its only way out is past Socks
+    const state = catchersDue(arena({ socks: { x: 6, y: 1 }, catchers: [{ x: 7, y: 1 }] }));
+    const next = step(state, { direction: RIGHT }, TICK_MS);
+
+    // They passed through each other - neither ends on the other's tile
+    expect(next.socks).toMatchObject({ x: 7, y: 1 });
+    expect(next.catchers[0]).toMatchObject({ x: 6, y: 1 });
+    expect(next.gameState).toBe('caught');
+  });
+
+  it('eats a frightened catcher met in a swap', () => {
+    // Cornered in the dead end, the catcher can only flee past Socks
+    const state = catchersDue(arena({
+      socks: { x: 6, y: 1 },
+      catchers: [{ x: 7, y: 1, frightened: true }],
+      frightenedTimer: 5000,
+    }));
+    const next = step(state, { direction: RIGHT }, TICK_MS);
+
+    expect(next.socks).toMatchObject({ x: 7, y: 1 });
+    expect(next.gameState).toBe('playing');
+    expect(next.lives).toBe(state.lives);
+    expect(next.catchers).toHaveLength(0);
+    expect(next.pendingRespawns).toHaveLength(1);
+    expect(next.catchersEaten).toBe(1);
+    expect(next.score).toBe(state.score + 1000);
+    expect(eventTypes(next)).toContain('catcherEaten');
+  });
+
+  it('catches Socks with a catcher respawned onto its tile mid-tick', () => {
+    // Too little room for a proper spawn point, so the catcher comes back at home
+    const state = arena({
+      socks: { x: 4, y: 1 },
+      pendingRespawns: [{ delay: TICK_MS, role: 'chaser', home: { x: 4, y: 1 } }],
+    });
+    const next = step(state, {}, TICK_MS);
+
+    expect(eventTypes(next)).toContain('catcherRespawned');
+    expect(next.gameState).toBe('caught');
+  });
+
+  it('lets a catcher respawn away from Socks without a start position to check', () => {
+    const state = arena({
+      socks: { x: 1, y: 1 },
+      pendingRespawns: [{ delay: TICK_MS, role: 'chaser', home: { x: 7, y: 1 } }],
+    });
+    const next = step(state, {}, TICK_MS);
+
+    expect(next.catchers).toHaveLength(1);
+    expect(next.catchers[0]).toMatchObject({ x: 7, y: 1 });
+    expect(next.gameState).toBe('playing');
+  });
+
+  it('skips collisions while Socks is on the couch', () => {
+    const onCouch = arena({ socks: { x: 3, y: 1 }, catchers: [{ x: 3, y: 1 }], couch: { x: 1, y: 1 } });
+    expect(step(onCouch, {}, TICK_MS).gameState).toBe('playing');
+
+    // The same meeting off the couch is a catch
+    const offCouch = { ...onCouch, couch: { x: 20, y: 20 } };
+    expect(step(offCouch, {}, TICK_MS).gameState).toBe('caught');
+  });
+});
+
+describe('findLayoutProblems', () => {
+  const withBones = (bones) => {
+    const level = createBlankLevel();
+    return parseLevel({ ...level, layout: { ...level.layout, bones } });
+  };
+  const types = (settings) => findLayoutProblems(settings).map(problem => problem.type);
+
+  it('finds nothing wrong with a blank level', () => {
+    expect(findLayoutProblems(parseLevel(createBlankLevel()))).toEqual([]);
+  });
+
+  it('reports bones under the couch and on its label', () => {
+    const { couch } = createBlankLevel().layout;
+    const settings = withBones([{ x: 1, y: 3 }, { x: couch.x + 1, y: couch.y + 1 }, { x: couch.x + 2, y: couch.y + 3 }]);
+
+    expect(findLayoutProblems(settings)).toEqual([
+      { type: 'boneUnderCouch', x: couch.x + 1, y: couch.y + 1 },
+      { type: 'boneUnderCouch', x: couch.x + 2, y: couch.y + 3 },
+    ]);
+  });
+
+  it('reports a level whose only bones are under the couch', () => {
+    const { couch } = createBlankLevel().layout;
+    const settings = withBones([{ x: couch.x + 1, y: couch.y + 1 }]);
+
+    expect(types(settings)).toEqual(['noBones', 'boneUnderCouch']);
+    // Which is what the level would start with
+    expect(startGame(createGame(), { seed: 'TEST', customLevel: settings }).bones).toEqual([]);
+  });
+});
@@ -0,0 +1,193 @@
+// Level definitions.
+//
+// The campaign is a plain JSON list of levels (levels/campaign.json), so
+// adding or retuning a level means editing data, not code. Each entry is
+// checked against the schema below when the module loads and turned into
+// the flat settings object the engine reads through getLevelSettings().
+//
+// {
+//   "name": "Living Room",
+//   "size": { "width": 21, "height": 17 },
+//   "generator": "backtracker",       // optional - any key of MAZE_GENERATORS
+//   "colors": { "wall": "#1e3a5f", "floor": "#0a1628", "accent": "#2563eb" },
+//   "catchers": { "roles": ["chaser", ...], "speed": 450 },  // ms per step
+//   "boneDensity": 0.4,               // chance of a bone on each open tile
+//   "specials": ["drumstick", ...],   // special items that can show up
+//   "couchTimeLimit": 8000,           // ms Socks may sit on the couch
+//   "modeSchedule": [7000, 20000],    // ms of scatter, chase, scatter, ...
+//   "goal": "bones",                  // bones: clear the level by eating every bone
+//                                     // treat: ...then deliver the dog treat to the couch
+//   "layout": {                       // optional - a hand-made maze instead of a generated one
+//     "rows": ["#####", "#...#", ...], // # = wall, . = floor; the outer edge must be wall
+//     "spawn": { "x": 1, "y": 1 },     // where Socks starts
+//     "couch": { "x": 8, "y": 7 },     // top-left tile of the couch
+//     "catchers": [{ "x": 19, "y": 1 }, ...], // start tiles, one per entry in catchers.roles
+//     "bones": [{ "x": 2, "y": 1 }, ...],     // replaces boneDensity
+//     "treat": { "x": 10, "y": 1 }     // optional - where the dog treat shows up
+//   }
+// }
+
+import campaign from './levels/campaign.json';
+import { MAZE_GENERATORS, DEFAULT_MAZE_GENERATOR } from './mazes.js';
+
+export const SPECIAL_TYPES = ['drumstick', 'pizza', 'cookie', 'tennis', 'cheese'];
+export const CATCHER_ROLES = ['chaser', 'ambusher', 'patroller', 'wanderer'];
+export const LEVEL_GOALS = ['bones', 'treat'];
+export const MAX_CATCHERS = 5; // One per start corner
+export const COUCH_WIDTH = 5;
+export const COUCH_HEIGHT = 3;
+
+// Mazes need odd dimensions, and room for the couch and its hallway
+export const MIN_MAZE_SIZE = { width: 11, height: 9 };
+export const MAX_MAZE_SIZE = { width: 41, height: 31 };
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const WALL_CHAR = '#';
+const FLOOR_CHAR = '.';
+
+// Returns a description of the first problem found in a hand-made layout,
+// or null. Whether everything can actually be reached is left to the maze
+// validator, which repairs what it can when the level starts.
+const findLayoutError = (layout, width, height, catcherCount) => {
+  if (!layout || typeof layout !== 'object') return 'layout must be an object';
+  const { rows } = layout;
+  if (!Array.isArray(rows) || rows.length !== height) return `layout.rows must have ${height} rows`;
+  for (const [y, row] of rows.entries()) {
+    if (typeof row !== 'string' || row.length !== width) return `layout row ${y} must be ${width} tiles wide`;
+    if (!/^[#.]*$/.test(row)) return `layout row ${y} may only contain ${WALL_CHAR} and ${FLOOR_CHAR}`;
+    const edge = y === 0 || y === height - 1 ? row : row[0] + row[width - 1];
+    if (edge !== WALL_CHAR.repeat(edge.length)) return 'the outer edge of the layout must be wall';
+  }
+
+  const inside = (pos, w = 1, h = 1) => pos && Number.isInteger(pos.x) && Number.isInteger(pos.y) &&
+    pos.x >= 1 && pos.y >= 1 && pos.x + w <= width - 1 && pos.y + h <= height - 1;
+  if (!inside(layout.spawn)) return 'layout.spawn must be inside the maze';
+  if (!inside(layout.couch, COUCH_WIDTH, COUCH_HEIGHT)) return 'layout.couch must fit inside the maze';
+  if (!Array.isArray(layout.catchers) || layout.catchers.length !== catcherCount) {
+    return `layout.catchers must list one start tile per catcher (${catcherCount})`;
+  }
+  if (!layout.catchers.every(pos => inside(pos))) return 'layout.catchers must be inside the maze';
+  if (!Array.isArray(layout.bones) || layout.bones.length === 0 || !layout.bones.every(pos => inside(pos))) {
+    return 'layout.bones must list at least one bone inside the maze';
+  }
+  if (layout.treat !== undefined && layout.treat !== null && !inside(layout.treat)) {
+    return 'layout.treat must be inside the maze';
+  }
+  return null;
+};
+
+// Turn a layout's rows into a maze grid (1 = wall, 0 = floor)...
+export const parseRows = (rows) => rows.map(row => [...row].map(tile => (tile === WALL_CHAR ? 1 : 0)));
+
+// ...and back
+export const formatRows = (maze) => maze.map(row => row.map(tile => (tile === 1 ? WALL_CHAR : FLOOR_CHAR)).join(''));
+
+// Returns a description of the first problem found, or null
+const findLevelError = (def) => {
+  if (!def || typeof def !== 'object') return 'not an object';
+  if (typeof def.name !== 'string' || def.name === '') return 'missing name';
+  for (const key of ['width', 'height']) {
+    const value = def.size?.[key];
+    if (!Number.isInteger(value) || value % 2 === 0 || value < MIN_MAZE_SIZE[key] || value > MAX_MAZE_SIZE[key]) {
+      return `size.${key} must be an odd number from ${MIN_MAZE_SIZE[key]} to ${MAX_MAZE_SIZE[key]}`;
+    }
+  }
+  if (def.generator !== undefined && !Object.hasOwn(MAZE_GENERATORS, def.generator)) {
+    return `unknown maze generator "${def.generator}"`;
+  }
+  for (const key of ['wall', 'floor', 'accent']) {
+    if (!COLOR_PATTERN.test(def.colors?.[key] ?? '')) return `colors.${key} must be a #rrggbb color`;
+  }
+
+  const roles = def.catchers?.roles;
+  if (!Array.isArray(roles) || roles.length === 0 || roles.length > MAX_CATCHERS) {
+    return `catchers.roles must list 1-${MAX_CATCHERS} catchers`;
+  }
+  const badRole = roles.find(role => !CATCHER_ROLES.includes(role));
+  if (badRole !== undefined) return `unknown catcher role "${badRole}"`;
+  if (!isPositiveInteger(def.catchers.speed)) return 'catchers.speed must be a positive number of ms';
+
+  if (typeof def.boneDensity !== 'number' || def.boneDensity <= 0 || def.boneDensity > 1) {
+    return 'boneDensity must be between 0 and 1';
+  }
+  if (!Array.isArray(def.specials)) return 'specials must be a list';
+  const badSpecial = def.specials.find(type => !SPECIAL_TYPES.includes(type));
+  if (badSpecial !== undefined) return `unknown special item "${badSpecial}"`;
+  if (!isPositiveInteger(def.couchTimeLimit)) return 'couchTimeLimit must be a positive number of ms';
+  if (!Array.isArray(def.modeSchedule) || !def.modeSchedule.every(isPositiveInteger)) {
+    return 'modeSchedule must be a list of positive durations';
+  }
+  if (!LEVEL_GOALS.includes(def.goal)) return `goal must be one of ${LEVEL_GOALS.join(', ')}`;
+  if (def.layout !== undefined) return findLayoutError(def.layout, def.size.width, def.size.height, roles.length);
+  return null;
+};
+
+// Validate one level definition and flatten it into engine settings.
+// Throws if the definition doesn't match the schema.
+export const parseLevel = (def, index = 0) => {
+  const error = findLevelError(def);
+  if (error) throw new Error(`Level ${index + 1}: ${error}`);
+
+  return {
+    name: def.name,
+    width: def.size.width,
+    height: def.size.height,
+    generator: def.generator ?? DEFAULT_MAZE_GENERATOR,
+    wallColor: def.colors.wall,
+    floorColor: def.colors.floor,
+    accentColor: def.colors.accent,
+    catcherSpeed: def.catchers.speed,
+    catcherCount: def.catchers.roles.length,
+    catcherRoles: [...def.catchers.roles],
+    boneDensity: def.boneDensity,
+    specialTypes: [...def.specials],
+    couchTimeLimit: def.couchTimeLimit,
+    modeSchedule: [...def.modeSchedule],
+    goal: def.goal,
+    layout: def.layout === undefined ? null : {
+      maze: parseRows(def.layout.rows),
+      spawn: { x: def.layout.spawn.x, y: def.layout.spawn.y },
+      couch: { x: def.layout.couch.x, y: def.layout.couch.y },
+      catchers: def.layout.catchers.map(({ x, y }) => ({ x, y })),
+      bones: def.layout.bones.map(({ x, y }) => ({ x, y })),
+      treat: def.layout.treat ? { x: def.layout.treat.x, y: def.layout.treat.y } : null,
+    },
+  };
+};
+
+// The definition parseLevel() turns into these settings, for storing a
+// level that is being played
+export const toLevelDefinition = (settings) => ({
+  name: settings.name,
+  size: { width: settings.width, height: settings.height },
+  generator: settings.generator,
+  colors: { wall: settings.wallColor, floor: settings.floorColor, accent: settings.accentColor },
+  catchers: { roles: [...settings.catcherRoles], speed: settings.catcherSpeed },
+  boneDensity: settings.boneDensity,
+  specials: [...settings.specialTypes],
+  couchTimeLimit: settings.couchTimeLimit,
+  modeSchedule: [...settings.modeSchedule],
+  goal: settings.goal,
+  ...(settings.layout && {
+    layout: {
+      rows: formatRows(settings.layout.maze),
+      spawn: { ...settings.layout.spawn },
+      couch: { ...settings.layout.couch },
+      catchers: settings.layout.catchers.map(({ x, y }) => ({ x, y })),
+      bones: settings.layout.bones.map(({ x, y }) => ({ x, y })),
+      treat: settings.layout.treat && { ...settings.layout.treat },
+    },
+  }),
+});
+
+export const parseCampaign = (data) => {
+  if (!Array.isArray(data?.levels) || data.levels.length === 0) {
+    throw new Error('A campaign needs a non-empty "levels" list');
+  }
+  return data.levels.map(parseLevel);
+};
+
+export const CAMPAIGN_LEVELS = parseCampaign(campaign);
@@ -0,0 +1,114 @@
+// Maze validation.
+//
+// A level only plays fair if Socks can walk to every floor tile and bone,
+// and every catcher starts somewhere it can chase Socks from without
+// being right on top of the spawn point. findMazeProblems() lists what's
+// wrong with a layout and repairMaze() fixes it; the engine repairs every
+// level it builds, so generators and hand-made levels don't have to get
+// every corner right themselves.
+//
+// A layout is:
+// {
+//   maze,                      // 0 = floor, 1 = wall
+//   spawn: { x, y },           // where Socks starts
+//   bones: [{ x, y }, ...],
+//   catchers: [{ x, y }, ...], // catcher spawn points
+//   isCatcherBlocked(x, y),    // optional - tiles catchers can't enter (the couch)
+// }
+
+import { distanceMap, distanceAt, isWalkable } from './pathfinding.js';
+import { connectAll } from './mazes.js';
+
+const copyMaze = (maze) => maze.map(row => [...row]);
+
+const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+// Steps from the spawn point for Socks and for the catchers, who have to
+// go around blocked tiles
+const measure = (layout) => ({
+  socks: distanceMap(layout.maze, layout.spawn),
+  catchers: distanceMap(layout.maze, layout.spawn, layout.isCatcherBlocked),
+});
+
+// Whether a catcher can start at `pos`: it must be able to reach Socks'
+// spawn and be more than `safeDistance` steps away from it
+const isFairCatcherSpawn = (maze, catcherDistances, pos, safeDistance) => {
+  const steps = distanceAt(maze, catcherDistances, pos);
+  return steps !== Infinity && steps > safeDistance;
+};
+
+// Everything wrong with a layout, as a list of { type, x, y }:
+//   spawnBlocked      - Socks' spawn point isn't on the floor
+//   unreachableFloor  - Socks can't walk to this floor tile
+//   unreachableBone   - this bone can't be eaten
+//   unreachableCatcher - this catcher can't get to Socks from its spawn point
+//   catcherTooClose   - this catcher spawns within `catcherSafeDistance` steps of Socks
+// An empty list means the layout is fine.
+export const findMazeProblems = (layout, { catcherSafeDistance = 0 } = {}) => {
+  const { maze, spawn } = layout;
+  if (!isWalkable(maze, spawn.x, spawn.y)) return [{ type: 'spawnBlocked', ...spawn }];
+
+  const problems = [];
+  const distances = measure(layout);
+  for (let y = 0; y < maze.length; y++) {
+    for (let x = 0; x < maze[0].length; x++) {
+      if (maze[y][x] === 0 && distanceAt(maze, distances.socks, { x, y }) === Infinity) {
+        problems.push({ type: 'unreachableFloor', x, y });
+      }
+    }
+  }
+  for (const bone of layout.bones) {
+    if (!isWalkable(maze, bone.x, bone.y) || distanceAt(maze, distances.socks, bone) === Infinity) {
+      problems.push({ type: 'unreachableBone', x: bone.x, y: bone.y });
+    }
+  }
+  for (const catcher of layout.catchers) {
+    if (!isWalkable(maze, catcher.x, catcher.y) || distanceAt(maze, distances.catchers, catcher) === Infinity) {
+      problems.push({ type: 'unreachableCatcher', x: catcher.x, y: catcher.y });
+    } else if (!isFairCatcherSpawn(maze, distances.catchers, catcher, catcherSafeDistance)) {
+      problems.push({ type: 'catcherTooClose', x: catcher.x, y: catcher.y });
+    }
+  }
+  return problems;
+};
+
+// A copy of the layout with its problems fixed: the spawn point is opened,
+// cut-off areas are dug through to, bones that still can't be reached are
+// dropped, and catchers that can't start where they are move to the
+// nearest fair tile (or stay put if there is none). Catchers keep their
+// order so roles still line up.
+export const repairMaze = (layout, { catcherSafeDistance = 0 } = {}) => {
+  const maze = copyMaze(layout.maze);
+  const { spawn } = layout;
+  maze[spawn.y][spawn.x] = 0;
+  connectAll(maze, spawn);
+
+  const distances = measure({ ...layout, maze });
+  const isFair = (pos) => isFairCatcherSpawn(maze, distances.catchers, pos, catcherSafeDistance);
+  const candidates = [];
+  for (let y = 0; y < maze.length; y++) {
+    for (let x = 0; x < maze[0].length; x++) {
+      if (isFair({ x, y })) candidates.push({ x, y });
+    }
+  }
+
+  const taken = new Set();
+  const keyOf = ({ x, y }) => y * maze[0].length + x;
+  const catchers = layout.catchers.map(catcher => {
+    let pos = catcher;
+    if (!isFair(pos) || taken.has(keyOf(pos))) {
+      // Nearest free fair tile; first in reading order on a tie
+      pos = candidates
+        .filter(candidate => !taken.has(keyOf(candidate)))
+        .reduce((best, candidate) =>
+          best === null || manhattan(candidate, catcher) < manhattan(best, catcher) ? candidate : best, null) ?? catcher;
+    }
+    taken.add(keyOf(pos));
+    return { x: pos.x, y: pos.y };
+  });
+
+  const bones = layout.bones.filter(bone =>
+    isWalkable(maze, bone.x, bone.y) && distanceAt(maze, distances.socks, bone) !== Infinity);
+
+  return { ...layout, maze, bones, catchers };
+};
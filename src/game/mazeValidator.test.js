@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { findMazeProblems, repairMaze } from './mazeValidator.js';
+
+// A loop on the left, and a pocket on the right walled off from it
+const MAZE = [
+  [1, 1, 1, 1, 1, 1, 1],
+  [1, 0, 0, 0, 1, 0, 1],
+  [1, 0, 1, 0, 1, 0, 1],
+  [1, 0, 0, 0, 1, 0, 1],
+  [1, 1, 1, 1, 1, 1, 1],
+];
+
+const layout = (overrides) => ({
+  maze: MAZE.map(row => [...row]),
+  spawn: { x: 1, y: 1 },
+  bones: [{ x: 3, y: 3 }],
+  catchers: [{ x: 3, y: 3 }],
+  ...overrides,
+});
+
+// The left loop on its own, with the pocket walled up
+const closed = () => MAZE.map(row => row.map((tile, x) => (x === 5 ? 1 : tile)));
+
+const types = (problems) => problems.map(problem => problem.type);
+
+describe('findMazeProblems', () => {
+  it('finds nothing wrong with a fair layout', () => {
+    expect(findMazeProblems(layout({ maze: closed() }), { catcherSafeDistance: 3 })).toEqual([]);
+  });
+
+  it('reports floor Socks can\'t walk to', () => {
+    expect(findMazeProblems(layout())).toEqual([
+      { type: 'unreachableFloor', x: 5, y: 1 },
+      { type: 'unreachableFloor', x: 5, y: 2 },
+      { type: 'unreachableFloor', x: 5, y: 3 },
+    ]);
+  });
+
+  it('reports bones that can\'t be eaten', () => {
+    const problems = findMazeProblems(layout({ maze: closed(), bones: [{ x: 3, y: 3 }, { x: 5, y: 2 }, { x: 2, y: 2 }] }));
+    expect(problems).toEqual([
+      { type: 'unreachableBone', x: 5, y: 2 },
+      { type: 'unreachableBone', x: 2, y: 2 },
+    ]);
+  });
+
+  it('reports catchers spawning too close to Socks', () => {
+    // (3, 3) is 4 steps from the spawn point whichever way round
+    expect(types(findMazeProblems(layout({ maze: closed() }), { catcherSafeDistance: 4 }))).toEqual(['catcherTooClose']);
+    expect(findMazeProblems(layout({ maze: closed(), catchers: [{ x: 2, y: 1 }] }), { catcherSafeDistance: 0 })).toEqual([]);
+  });
+
+  it('reports catchers that can\'t get to Socks', () => {
+    const walled = findMazeProblems(layout({ maze: closed(), catchers: [{ x: 2, y: 2 }] }));
+    expect(walled).toEqual([{ type: 'unreachableCatcher', x: 2, y: 2 }]);
+
+    // The couch blocks catchers, not Socks
+    const isCatcherBlocked = (x, y) => y === 1 && x === 2 || y === 3 && x === 1;
+    expect(types(findMazeProblems(layout({ maze: closed(), isCatcherBlocked })))).toEqual(['unreachableCatcher']);
+  });
+
+  it('reports a blocked spawn point and nothing else', () => {
+    expect(findMazeProblems(layout({ spawn: { x: 2, y: 2 } }))).toEqual([{ type: 'spawnBlocked', x: 2, y: 2 }]);
+  });
+});
+
+describe('repairMaze', () => {
+  it.each([
+    ['a cut-off pocket', layout()],
+    ['a blocked spawn point', layout({ spawn: { x: 2, y: 2 } })],
+    ['a catcher in the wall', layout({ catchers: [{ x: 0, y: 0 }] })],
+    ['catchers too close', layout({ catchers: [{ x: 2, y: 1 }, { x: 1, y: 2 }] })],
+    ['an unreachable bone', layout({ bones: [{ x: 6, y: 2 }, { x: 3, y: 1 }] })],
+  ])('fixes %s', (_, broken) => {
+    const options = { catcherSafeDistance: 2 };
+    const repaired = repairMaze(broken, options);
+
+    expect(findMazeProblems(repaired, options)).toEqual([]);
+    expect(repaired.catchers).toHaveLength(broken.catchers.length);
+    expect(new Set(repaired.catchers.map(({ x, y }) => `${x},${y}`)).size).toBe(broken.catchers.length);
+  });
+
+  it('leaves the layout it was given alone', () => {
+    const broken = layout();
+    repairMaze(broken);
+    expect(broken.maze).toEqual(MAZE);
+  });
+});
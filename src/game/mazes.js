@@ -0,0 +1,294 @@
+// Maze generators.
+//
+// Each generator fills a width x height grid (both odd, 1 = wall, 0 = floor)
+// with corridors on the odd rows and columns. generateMaze() then runs the
+// same clean-up on every result, so levels can pick any generator and still
+// get a maze without dead ends. Couch carving and the reachability pass
+// happen in the engine, once the couch has been cut out.
+
+import { distanceMap } from './pathfinding.js';
+
+const STEPS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+const CELL_STEPS = [[0, -2], [0, 2], [-2, 0], [2, 0]];
+
+const filledGrid = (width, height) => Array(height).fill(null).map(() => Array(width).fill(1));
+
+const isInterior = (maze, x, y) => y > 0 && y < maze.length - 1 && x > 0 && x < maze[0].length - 1;
+
+// Corridor junctions - every tile with both coordinates odd
+const gridCells = (width, height) => {
+  const cells = [];
+  for (let y = 1; y < height - 1; y += 2) {
+    for (let x = 1; x < width - 1; x += 2) cells.push({ x, y });
+  }
+  return cells;
+};
+
+// Depth-first carving from `start`, knocking down the wall to each unvisited
+// neighbour cell in random order
+const carveFrom = (maze, rng, start) => {
+  const carve = (x, y) => {
+    maze[y][x] = 0;
+    for (const [dx, dy] of rng.shuffle(CELL_STEPS)) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (isInterior(maze, nx, ny) && maze[ny][nx] === 1) {
+        maze[y + dy / 2][x + dx / 2] = 0;
+        carve(nx, ny);
+      }
+    }
+  };
+  carve(start.x, start.y);
+};
+
+// Recursive backtracking, plus a few random openings for more open gameplay
+const backtracker = (rng, width, height) => {
+  const maze = filledGrid(width, height);
+  carveFrom(maze, rng, { x: 1, y: 1 });
+
+  // 30 extra passages on a 21x17 maze, scaled by area
+  const extraPassages = Math.round(30 * (width * height) / (21 * 17));
+  for (let i = 0; i < extraPassages; i++) {
+    const x = rng.int(width - 2) + 1;
+    const y = rng.int(height - 2) + 1;
+    if (maze[y][x] === 1) {
+      const neighbors = STEPS.filter(([dx, dy]) => maze[y + dy]?.[x + dx] === 0);
+      if (neighbors.length >= 2) {
+        maze[y][x] = 0;
+      }
+    }
+  }
+  return maze;
+};
+
+// Randomized Prim's - grows the maze from one cell by opening a random
+// wall on its frontier each step, which gives lots of short branches
+const prim = (rng, width, height) => {
+  const maze = filledGrid(width, height);
+  const frontier = [];
+  const open = (x, y) => {
+    maze[y][x] = 0;
+    for (const [dx, dy] of CELL_STEPS) {
+      if (isInterior(maze, x + dx, y + dy) && maze[y + dy][x + dx] === 1) {
+        frontier.push({ x: x + dx, y: y + dy, wallX: x + dx / 2, wallY: y + dy / 2 });
+      }
+    }
+  };
+
+  open(1, 1);
+  while (frontier.length > 0) {
+    const index = rng.int(frontier.length);
+    const next = frontier[index];
+    frontier[index] = frontier[frontier.length - 1];
+    frontier.pop();
+    if (maze[next.y][next.x] === 0) continue;
+    maze[next.wallY][next.wallX] = 0;
+    open(next.x, next.y);
+  }
+  return maze;
+};
+
+// Randomized Kruskal's - knocks down walls in random order whenever they
+// separate two cells that aren't connected yet
+const kruskal = (rng, width, height) => {
+  const maze = filledGrid(width, height);
+  const cells = gridCells(width, height);
+  const parent = new Map(cells.map(({ x, y }) => [y * width + x, y * width + x]));
+  const find = (key) => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+
+  const walls = [];
+  for (const { x, y } of cells) {
+    maze[y][x] = 0;
+    if (x + 2 < width - 1) walls.push({ x: x + 1, y, a: y * width + x, b: y * width + x + 2 });
+    if (y + 2 < height - 1) walls.push({ x, y: y + 1, a: y * width + x, b: (y + 2) * width + x });
+  }
+  for (const wall of rng.shuffle(walls)) {
+    const rootA = find(wall.a);
+    const rootB = find(wall.b);
+    if (rootA === rootB) continue;
+    parent.set(rootA, rootB);
+    maze[wall.y][wall.x] = 0;
+  }
+  return maze;
+};
+
+// Eller's - builds the maze one row at a time, tracking which cells of the
+// current row are already connected through the rows above
+const eller = (rng, width, height) => {
+  const maze = filledGrid(width, height);
+  const columns = [];
+  for (let x = 1; x < width - 1; x += 2) columns.push(x);
+  let sets = columns.map(() => null);
+  let nextSet = 0;
+
+  for (let y = 1; y < height - 1; y += 2) {
+    const lastRow = y + 2 >= height - 1;
+    sets = sets.map(set => set ?? nextSet++);
+    columns.forEach(x => { maze[y][x] = 0; });
+
+    // Join neighbours in the row - always on the last row, so it ends up connected
+    for (let i = 0; i < columns.length - 1; i++) {
+      if (sets[i] === sets[i + 1] || (!lastRow && rng.next() < 0.5)) continue;
+      const merged = sets[i + 1];
+      sets = sets.map(set => (set === merged ? sets[i] : set));
+      maze[y][columns[i] + 1] = 0;
+    }
+    if (lastRow) break;
+
+    // Every set carries on into the next row through at least one cell
+    const below = columns.map(() => null);
+    for (const set of new Set(sets)) {
+      const members = sets.map((s, i) => (s === set ? i : -1)).filter(i => i !== -1);
+      const chosen = members.filter(() => rng.next() < 0.4);
+      for (const i of chosen.length > 0 ? chosen : [rng.pick(members)]) {
+        maze[y + 1][columns[i]] = 0;
+        below[i] = set;
+      }
+    }
+    sets = below;
+  }
+  return maze;
+};
+
+// Rooms and corridors - a handful of open rooms joined in a chain by
+// L-shaped corridors, with solid walls everywhere else
+const rooms = (rng, width, height) => {
+  const maze = filledGrid(width, height);
+  const placed = [];
+  const target = Math.max(3, Math.round((width * height) / 60));
+  const overlaps = (a, b) =>
+    a.x - 2 < b.x + b.w && b.x - 2 < a.x + a.w && a.y - 2 < b.y + b.h && b.y - 2 < a.y + a.h;
+
+  for (let attempt = 0; attempt < target * 10 && placed.length < target; attempt++) {
+    const w = 2 * (rng.int(3) + 1) + 1; // 3, 5 or 7 tiles
+    const h = 2 * (rng.int(2) + 1) + 1; // 3 or 5 tiles
+    if (w > width - 2 || h > height - 2) continue;
+    const room = {
+      x: 2 * rng.int((width - w) / 2) + 1,
+      y: 2 * rng.int((height - h) / 2) + 1,
+      w,
+      h,
+    };
+    if (placed.some(other => overlaps(room, other))) continue;
+    placed.push(room);
+    for (let y = room.y; y < room.y + room.h; y++) {
+      for (let x = room.x; x < room.x + room.w; x++) maze[y][x] = 0;
+    }
+  }
+
+  // Chain the spawn corner and the rooms together, left to right
+  const stops = [{ x: 1, y: 1 }, ...placed
+    .map(room => ({ x: room.x + 2 * Math.floor(room.w / 4), y: room.y + 2 * Math.floor(room.h / 4) }))
+    .sort((a, b) => a.x - b.x || a.y - b.y)];
+  maze[1][1] = 0;
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    const turnFirst = rng.next() < 0.5; // Horizontal or vertical leg first
+    const corner = turnFirst ? { x: to.x, y: from.y } : { x: from.x, y: to.y };
+    for (const [a, b] of [[from, corner], [corner, to]]) {
+      for (let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) maze[a.y][x] = 0;
+      for (let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++) maze[y][a.x] = 0;
+    }
+  }
+  return maze;
+};
+
+// Pac-Man style - the left half is a backtracker maze and the right half
+// its mirror image, with a few doors through the middle column
+const symmetric = (rng, width, height) => {
+  const maze = backtracker(rng, width, height);
+  const middle = (width - 1) / 2;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = middle + 1; x < width; x++) maze[y][x] = maze[y][width - 1 - x];
+    maze[y][middle] = maze[y][middle - 1] === 0 && rng.next() < 0.5 ? 0 : 1;
+  }
+  return maze;
+};
+
+export const MAZE_GENERATORS = { backtracker, prim, kruskal, eller, rooms, symmetric };
+export const DEFAULT_MAZE_GENERATOR = 'backtracker';
+
+// Open walls until every floor tile has at least two exits. Pass
+// `symmetric` to open the mirrored wall as well, keeping a mirrored maze
+// mirrored.
+export const removeDeadEnds = (maze, rng, symmetric = false) => {
+  const width = maze[0].length;
+  let hasDeadEnds = true;
+  while (hasDeadEnds) {
+    hasDeadEnds = false;
+    for (let y = 1; y < maze.length - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        if (maze[y][x] !== 0) continue;
+        const openNeighbors = STEPS.filter(([dx, dy]) => maze[y + dy]?.[x + dx] === 0);
+        if (openNeighbors.length > 1) continue;
+
+        // Dead end (or a tile shut off on all sides) - open a random wall
+        // next to it to create another exit
+        hasDeadEnds = true;
+        const wallNeighbors = STEPS.filter(([dx, dy]) => isInterior(maze, x + dx, y + dy) && maze[y + dy][x + dx] === 1);
+        if (wallNeighbors.length > 0) {
+          const [dx, dy] = rng.pick(wallNeighbors);
+          maze[y + dy][x + dx] = 0;
+          if (symmetric) maze[y + dy][width - 1 - (x + dx)] = 0;
+        }
+      }
+    }
+  }
+  return maze;
+};
+
+// Open the shortest run of walls from the reachable part of the maze to
+// each cut-off area, until every floor tile can be reached from `from`
+export const connectAll = (maze, from) => {
+  const width = maze[0].length;
+  for (;;) {
+    const reach = distanceMap(maze, from);
+    const reached = (x, y) => reach[y * width + x] !== Infinity;
+    const queue = [];
+    let cutOff = false;
+    for (let y = 0; y < maze.length; y++) {
+      for (let x = 0; x < width; x++) {
+        if (maze[y][x] !== 0) continue;
+        if (reached(x, y)) queue.push({ x, y });
+        else cutOff = true;
+      }
+    }
+    if (!cutOff) return maze;
+
+    // Breadth-first through the walls until we hit a cut-off floor tile
+    const previous = new Map(queue.map(({ x, y }) => [y * width + x, null]));
+    let found = null;
+    for (let head = 0; head < queue.length && found === null; head++) {
+      const { x, y } = queue[head];
+      for (const [dx, dy] of STEPS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const key = ny * width + nx;
+        if (!isInterior(maze, nx, ny) || previous.has(key)) continue;
+        previous.set(key, y * width + x);
+        if (maze[ny][nx] === 0) {
+          found = key;
+          break;
+        }
+        queue.push({ x: nx, y: ny });
+      }
+    }
+    if (found === null) return maze; // Nothing left to dig through
+    for (let key = previous.get(found); previous.get(key) !== null; key = previous.get(key)) {
+      maze[Math.floor(key / width)][key % width] = 0;
+    }
+  }
+};
+
+// Run a generator and the dead-end clean-up
+export const generateMaze = (rng, width, height, generator = DEFAULT_MAZE_GENERATOR) => {
+  const maze = MAZE_GENERATORS[generator](rng, width, height);
+  return removeDeadEnds(maze, rng, generator === 'symmetric');
+};
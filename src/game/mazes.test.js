@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { MAZE_GENERATORS } from './mazes.js';
+import { createGame, startGame, SPAWN_POINT } from './engine.js';
+import { CAMPAIGN_LEVELS, MIN_MAZE_SIZE, MAX_MAZE_SIZE } from './levels.js';
+import { distanceMap, distanceAt } from './pathfinding.js';
+
+const SIZES = [MIN_MAZE_SIZE, { width: 21, height: 17 }, { width: 13, height: 31 }, { width: 41, height: 9 }, MAX_MAZE_SIZE];
+const SEEDS = ['MAZES', 'K9K9K9'];
+
+const cases = Object.keys(MAZE_GENERATORS).flatMap(generator =>
+  SIZES.map(({ width, height }) => [generator, width, height]));
+
+// The first level's maze as the game builds it, couch and all
+const buildMaze = (generator, width, height, seed) => startGame(createGame(), {
+  seed,
+  customLevel: { ...CAMPAIGN_LEVELS[0], width, height, generator },
+}).maze;
+
+const floorTiles = (maze) => maze.flatMap((row, y) => row.flatMap((tile, x) => (tile === 0 ? [{ x, y }] : [])));
+
+const openNeighbours = (maze, { x, y }) =>
+  [[1, 0], [-1, 0], [0, 1], [0, -1]].filter(([dx, dy]) => maze[y + dy]?.[x + dx] === 0).length;
+
+describe.each(cases)('the %s generator at %ix%i', (generator, width, height) => {
+  it.each(SEEDS)('leaves no dead ends and nothing cut off (seed %s)', (seed) => {
+    const maze = buildMaze(generator, width, height, seed);
+    expect(maze).toHaveLength(height);
+    expect(maze[0]).toHaveLength(width);
+
+    const reach = distanceMap(maze, SPAWN_POINT);
+    for (const tile of floorTiles(maze)) {
+      expect(openNeighbours(maze, tile), `exits from ${tile.x},${tile.y}`).toBeGreaterThanOrEqual(2);
+      expect(distanceAt(maze, reach, tile), `steps to ${tile.x},${tile.y}`).not.toBe(Infinity);
+    }
+  });
+
+  it('builds the same maze from the same seed', () => {
+    expect(buildMaze(generator, width, height, SEEDS[0])).toEqual(buildMaze(generator, width, height, SEEDS[0]));
+  });
+});
@@ -0,0 +1,61 @@
+// Grid pathfinding over a maze (0 = open, 1 = wall).
+//
+// Every move costs the same, so a breadth-first search already gives
+// shortest paths; A* wouldn't find anything better on a maze this small.
+// Searches start from the *target* and produce a distance map, which lets
+// a mover pick its best next tile with a single lookup per neighbour.
+
+const NEIGHBOURS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+const inBounds = (maze, x, y) => y >= 0 && y < maze.length && x >= 0 && x < maze[0].length;
+
+// `isBlocked(x, y)` can close off extra tiles on top of the walls
+export const isWalkable = (maze, x, y, isBlocked) =>
+  inBounds(maze, x, y) && maze[y][x] === 0 && !(isBlocked && isBlocked(x, y));
+
+// Steps from `from` to every tile as a flat array indexed y * width + x;
+// Infinity where the tile can't be reached
+export const distanceMap = (maze, from, isBlocked) => {
+  const width = maze[0].length;
+  const distances = new Array(width * maze.length).fill(Infinity);
+  if (!isWalkable(maze, from.x, from.y)) return distances;
+
+  distances[from.y * width + from.x] = 0;
+  const queue = [from];
+  for (let head = 0; head < queue.length; head++) {
+    const { x, y } = queue[head];
+    const next = distances[y * width + x] + 1;
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (!isWalkable(maze, nx, ny, isBlocked) || distances[ny * width + nx] !== Infinity) continue;
+      distances[ny * width + nx] = next;
+      queue.push({ x: nx, y: ny });
+    }
+  }
+  return distances;
+};
+
+export const distanceAt = (maze, distances, { x, y }) => distances[y * maze[0].length + x];
+
+// Open tiles next to `pos`
+export const neighbours = (maze, pos, isBlocked) =>
+  NEIGHBOURS
+    .map(([dx, dy]) => ({ x: pos.x + dx, y: pos.y + dy }))
+    .filter(next => isWalkable(maze, next.x, next.y, isBlocked));
+
+// Neighbour of `pos` one step closer to wherever `distances` was measured
+// from, or null if that's unreachable (or `pos` is already there)
+export const stepDownhill = (maze, pos, distances, isBlocked) => {
+  const here = distanceAt(maze, distances, pos);
+  if (here === 0 || here === Infinity) return null;
+  return neighbours(maze, pos, isBlocked).find(next => distanceAt(maze, distances, next) === here - 1) ?? null;
+};
+
+// First tile on a shortest path from `pos` to `target`
+export const stepToward = (maze, pos, target, isBlocked) =>
+  stepDownhill(maze, pos, distanceMap(maze, target, isBlocked), isBlocked);
+
+// Shortest path length between two tiles (Infinity if unreachable)
+export const pathDistance = (maze, from, to, isBlocked) =>
+  distanceAt(maze, distanceMap(maze, to, isBlocked), from);
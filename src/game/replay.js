@@ -0,0 +1,133 @@
+// Input recording and deterministic replay.
+//
+// The live game advances the engine in fixed TICK_MS ticks, so a run is
+// fully described by its seed, starting options and the held direction on
+// every tick. Only direction *changes* are logged, as [tick, code] pairs.
+// Level transitions (caught, level complete, treat message, pauses) don't
+// consume ticks, so a replay simply applies them as soon as it meets them.
+
+import {
+  RULES_VERSION, createGame, startGame, step, nextLevel, respawnAfterCatch, resumeGame,
+} from './engine.js';
+
+export const TICK_MS = 10;
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+const CHECKPOINT_INTERVAL = 1000; // ticks between cached states for scrubbing
+
+const DIRECTION_CODES = { U: { dx: 0, dy: -1 }, D: { dx: 0, dy: 1 }, L: { dx: -1, dy: 0 }, R: { dx: 1, dy: 0 } };
+
+export const encodeDirection = (direction) => {
+  if (!direction) return '';
+  return Object.keys(DIRECTION_CODES).find(code =>
+    DIRECTION_CODES[code].dx === direction.dx && DIRECTION_CODES[code].dy === direction.dy) ?? '';
+};
+
+export const decodeDirection = (code) => DIRECTION_CODES[code] ?? null;
+
+// Start a log for a run that was just started with engine.startGame()
+export const createRecording = (game) => ({
+  rulesVersion: RULES_VERSION,
+  seed: game.seed,
+  mode: game.mode,
+  level: game.level,
+  config: { ...game.config },
+  inputs: [],
+  ticks: 0,
+});
+
+// Log the direction used for the next tick. Mutates the recording - it is
+// an append-only log owned by whoever is driving the live game.
+export const recordInput = (recording, direction) => {
+  const code = encodeDirection(direction);
+  const last = recording.inputs[recording.inputs.length - 1];
+  if ((last ? last[1] : '') !== code) {
+    recording.inputs.push([recording.ticks, code]);
+  }
+  recording.ticks += 1;
+};
+
+// Detached copy of a recording, safe to store alongside a score
+export const finishRecording = (recording) => ({
+  ...recording,
+  config: { ...recording.config },
+  inputs: recording.inputs.map(input => [...input]),
+});
+
+export const formatTicks = (ticks) => {
+  const seconds = Math.floor((ticks * TICK_MS) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const initialGame = (recording) => startGame(
+  createGame({ ...recording.config, seed: recording.seed }),
+  { level: recording.level, seed: recording.seed, mode: recording.mode },
+);
+
+// Do what the player did between ticks - they always pressed on
+const skipInterlude = (game) => {
+  switch (game.gameState) {
+    case 'caught': return respawnAfterCatch(game);
+    case 'levelComplete': return nextLevel(game);
+    case 'paused': return resumeGame(game);
+    default: return game;
+  }
+};
+
+// Replays recorded under different game rules would drift out of sync
+export const isReplayCompatible = (recording) => recording?.rulesVersion === RULES_VERSION;
+
+export const startReplay = (recording) => {
+  const cursor = { game: initialGame(recording), tick: 0, inputIndex: 0, direction: null };
+  return {
+    recording,
+    ...cursor,
+    playing: true,
+    speed: 1,
+    // Cache of earlier positions for scrubbing backwards. Shared between
+    // all states of this replay; it only ever gains entries.
+    checkpoints: new Map([[0, cursor]]),
+  };
+};
+
+export const isReplayFinished = (replay) => replay.tick >= replay.recording.ticks;
+
+// Run the replay forward by `ticks` simulation ticks. Events from every
+// tick are collected onto the returned game state.
+export const advanceReplay = (replay, ticks) => {
+  const { inputs } = replay.recording;
+  const end = Math.min(replay.tick + ticks, replay.recording.ticks);
+  let { game, tick, inputIndex, direction } = replay;
+  const events = [];
+
+  while (tick < end) {
+    while (inputIndex < inputs.length && inputs[inputIndex][0] <= tick) {
+      direction = decodeDirection(inputs[inputIndex][1]);
+      inputIndex += 1;
+    }
+    game = step(skipInterlude(game), { direction }, TICK_MS);
+    events.push(...game.events);
+    tick += 1;
+    if (tick % CHECKPOINT_INTERVAL === 0 && !replay.checkpoints.has(tick)) {
+      replay.checkpoints.set(tick, { game, tick, inputIndex, direction });
+    }
+  }
+
+  const next = { ...replay, game: { ...game, events }, tick, inputIndex, direction };
+  return isReplayFinished(next) ? { ...next, playing: false } : next;
+};
+
+// Jump to any tick, resimulating from the nearest cached checkpoint
+export const seekReplay = (replay, targetTick) => {
+  const target = Math.max(0, Math.min(targetTick, replay.recording.ticks));
+  if (target >= replay.tick) {
+    return advanceReplay(replay, target - replay.tick);
+  }
+
+  let from = 0;
+  for (const tick of replay.checkpoints.keys()) {
+    if (tick <= target && tick > from) from = tick;
+  }
+  const rewound = { ...replay, ...replay.checkpoints.get(from) };
+  return advanceReplay(rewound, target - from);
+};
@@ -0,0 +1,111 @@
+// Replay files - a recording plus who set it and what it scored, as JSON.
+//
+// A file is only trusted after it has been played back: loading reruns the
+// whole input log and rejects the file if the engine doesn't arrive at the
+// recorded final score.
+
+import { RULES_VERSION, MAX_LEVEL, getLevelSettings } from './engine.js';
+import { startReplay, advanceReplay, decodeDirection } from './replay.js';
+
+export const REPLAY_FILE_FORMAT = 'socks-bone-hunt-replay';
+export const REPLAY_FILE_VERSION = 1;
+
+const MODES = ['classic', 'daily'];
+const MAX_NAME_LENGTH = 3;
+const MAX_TICKS = 6 * 60 * 60 * 100; // six hours of play - anything longer isn't worth simulating
+
+// Settings for every level the run could reach, so a file made under
+// different level tuning is spotted before it is played
+const levelSettingsFor = (recording) => {
+  const levels = [];
+  for (let lvl = recording.level; lvl <= recording.config.maxLevel; lvl++) {
+    levels.push({ level: lvl, ...getLevelSettings(lvl) });
+  }
+  return levels;
+};
+
+export const createReplayFile = (recording, { name = null, score }) => ({
+  format: REPLAY_FILE_FORMAT,
+  version: REPLAY_FILE_VERSION,
+  rulesVersion: recording.rulesVersion,
+  name,
+  score,
+  seed: recording.seed,
+  mode: recording.mode,
+  level: recording.level,
+  config: { ...recording.config },
+  levels: levelSettingsFor(recording),
+  ticks: recording.ticks,
+  inputs: recording.inputs.map(input => [...input]),
+});
+
+export const serializeReplayFile = (file) => JSON.stringify(file);
+
+export const getReplayFileName = (file) =>
+  `socks-replay-${file.seed}-${file.name ?? 'anon'}-${file.score}.json`.replace(/[^\w.-]/g, '_');
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Returns a description of the first problem found, or null
+const findSchemaError = (file) => {
+  if (typeof file.seed !== 'string' || file.seed === '') return 'missing seed';
+  if (!MODES.includes(file.mode)) return 'unknown game mode';
+  if (file.name !== null && (typeof file.name !== 'string' || file.name.length > MAX_NAME_LENGTH)) return 'bad player name';
+  if (!isCount(file.score)) return 'bad score';
+  if (!isCount(file.ticks) || file.ticks > MAX_TICKS) return 'bad tick count';
+  if (!file.config || !Number.isInteger(file.config.maxLevel) || !Number.isInteger(file.config.lives)) return 'bad game config';
+  if (file.config.maxLevel < 1 || file.config.maxLevel > MAX_LEVEL || file.config.lives < 1) return 'bad game config';
+  if (typeof file.config.inputBuffering !== 'boolean') return 'bad game config';
+  if (!Number.isInteger(file.level) || file.level < 1 || file.level > file.config.maxLevel) return 'bad starting level';
+  if (!Array.isArray(file.levels)) return 'missing level settings';
+  if (!Array.isArray(file.inputs)) return 'missing input log';
+
+  let lastTick = -1;
+  for (const input of file.inputs) {
+    if (!Array.isArray(input) || input.length !== 2) return 'bad input entry';
+    const [tick, code] = input;
+    if (!isCount(tick) || tick <= lastTick || tick >= file.ticks) return 'input log out of order';
+    if (code !== '' && !decodeDirection(code)) return 'bad input direction';
+    lastTick = tick;
+  }
+  return null;
+};
+
+// Parse and verify a replay file's text. Returns { recording, name, score }
+// or throws an Error whose message can be shown to the player.
+export const parseReplayFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('Not a replay file');
+  }
+
+  if (!file || file.format !== REPLAY_FILE_FORMAT) throw new Error('Not a replay file');
+  if (file.version !== REPLAY_FILE_VERSION) throw new Error(`Unsupported replay file version ${file.version}`);
+
+  const schemaError = findSchemaError(file);
+  if (schemaError) throw new Error(`Broken replay file: ${schemaError}`);
+
+  const recording = {
+    rulesVersion: file.rulesVersion,
+    seed: file.seed,
+    mode: file.mode,
+    level: file.level,
+    config: { maxLevel: file.config.maxLevel, lives: file.config.lives, inputBuffering: file.config.inputBuffering },
+    inputs: file.inputs.map(input => [...input]),
+    ticks: file.ticks,
+  };
+
+  if (recording.rulesVersion !== RULES_VERSION ||
+      JSON.stringify(file.levels) !== JSON.stringify(levelSettingsFor(recording))) {
+    throw new Error('Replay was recorded with different game rules');
+  }
+
+  const finished = advanceReplay(startReplay(recording), recording.ticks);
+  if (finished.game.score !== file.score) {
+    throw new Error(`Replay score doesn't match (recorded ${file.score}, replayed ${finished.game.score})`);
+  }
+
+  return { recording, name: file.name, score: file.score };
+};
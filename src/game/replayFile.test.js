@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, startGame, step, nextLevel, respawnAfterCatch, resumeGame } from './engine.js';
+import { TICK_MS, createRecording, recordInput, finishRecording } from './replay.js';
+import { createReplayFile, serializeReplayFile, parseReplayFile } from './replayFile.js';
+
+const UP = { dx: 0, dy: -1 };
+const DOWN = { dx: 0, dy: 1 };
+const LEFT = { dx: -1, dy: 0 };
+const RIGHT = { dx: 1, dy: 0 };
+const SCRIPT = [RIGHT, DOWN, RIGHT, UP, LEFT, DOWN, null, RIGHT, UP];
+
+// Press on through every interlude, the way a replay does
+const pressOn = (game) => {
+  switch (game.gameState) {
+    case 'caught': return respawnAfterCatch(game);
+    case 'levelComplete': return nextLevel(game);
+    case 'paused': return resumeGame(game);
+    default: return game;
+  }
+};
+
+// The same inputs every time, recorded the way the live game records them
+const playScriptedRun = (inputBuffering) => {
+  let game = startGame(createGame({ inputBuffering }), { seed: 'ROUNDTRIP' });
+  const recording = createRecording(game);
+  for (let tick = 0; tick < 3000 && game.gameState !== 'lost' && game.gameState !== 'won'; tick++) {
+    const direction = SCRIPT[Math.floor(tick / 23) % SCRIPT.length];
+    recordInput(recording, direction);
+    game = step(pressOn(game), { direction }, TICK_MS);
+  }
+  return createReplayFile(finishRecording(recording), { name: 'BOT', score: game.score });
+};
+
+describe('replay files', () => {
+  it.each([false, true])('load back a run recorded with input buffering %s', (inputBuffering) => {
+    const file = playScriptedRun(inputBuffering);
+    const { recording, score } = parseReplayFile(serializeReplayFile(file));
+
+    expect(score).toBe(file.score);
+    expect(recording.config.inputBuffering).toBe(inputBuffering);
+  });
+
+  it('plays a buffered run back with buffering on', () => {
+    // The script scores differently without buffering, so a file that lost
+    // the setting would be refused
+    const file = playScriptedRun(true);
+    const unbuffered = { ...file, config: { ...file.config, inputBuffering: false } };
+
+    expect(() => parseReplayFile(serializeReplayFile(unbuffered))).toThrow("Replay score doesn't match");
+  });
+
+  it('refuses a file without the buffering setting', () => {
+    const file = playScriptedRun(false);
+    const { inputBuffering: _inputBuffering, ...config } = file.config;
+
+    expect(() => parseReplayFile(serializeReplayFile({ ...file, config }))).toThrow('Broken replay file: bad game config');
+  });
+});
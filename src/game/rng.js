@@ -0,0 +1,59 @@
+// Seedable pseudo-random number generator.
+//
+// A seed string is hashed to a 32-bit number, which drives a mulberry32
+// generator. The generator's whole state is that one number, so the engine
+// can store it in game state and pick up exactly where it left off.
+
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No look-alike characters
+
+// Fresh seed for a run nobody asked to reproduce
+export const randomSeed = (length = 8) => {
+  let seed = '';
+  for (let i = 0; i < length; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+};
+
+// FNV-1a hash of the seed string
+export const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// `state` is either a seed string or a number previously read from `rng.state`
+export const createRng = (state) => {
+  let current = typeof state === 'number' ? state >>> 0 : hashSeed(state);
+
+  const next = () => {
+    current = (current + 0x6d2b79f5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    // Integer in [0, max)
+    int: (max) => Math.floor(next() * max),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // Fisher-Yates, so the result doesn't depend on the browser's sort()
+    shuffle: (items) => {
+      const result = [...items];
+      for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+      }
+      return result;
+    },
+    get state() {
+      return current;
+    },
+  };
+};
@@ -0,0 +1,253 @@
+// Level share codes - a whole level packed into a short, URL-safe string.
+//
+// A code holds either a seeded campaign level (run seed + level number,
+// which rebuilds the same generated maze) or a custom level with its
+// layout and settings. Fields are written as varints, the wall and bone
+// grids as one bit per inner tile (the outer edge is always wall), and a
+// checksum goes on the end so a mistyped or truncated code is refused
+// instead of loading a scrambled maze. The bytes are then base64url
+// encoded.
+
+import { MAX_LEVEL } from './engine.js';
+import {
+  CATCHER_ROLES, SPECIAL_TYPES, LEVEL_GOALS, MAX_CATCHERS, MIN_MAZE_SIZE, MAX_MAZE_SIZE, formatRows, parseLevel,
+} from './levels.js';
+import { hashSeed } from './rng.js';
+
+const SHARE_CODE_VERSION = 1;
+const SEEDED = 0;
+const CUSTOM = 1;
+const MAX_SEED_LENGTH = 64;
+const CHECKSUM_BYTES = 2;
+
+const checksumOf = (bytes) => hashSeed(String.fromCharCode(...bytes)) & 0xffff;
+
+const createWriter = () => {
+  const bytes = [];
+  const writer = {
+    bytes,
+    // Unsigned LEB128 - 7 bits per byte, high bit set on all but the last
+    uint: (value) => {
+      let rest = value;
+      while (rest >= 0x80) {
+        bytes.push((rest % 0x80) | 0x80);
+        rest = Math.floor(rest / 0x80);
+      }
+      bytes.push(rest);
+    },
+    text: (value) => {
+      const encoded = new TextEncoder().encode(value);
+      writer.uint(encoded.length);
+      bytes.push(...encoded);
+    },
+    color: (hex) => {
+      for (let i = 1; i < 7; i += 2) bytes.push(parseInt(hex.slice(i, i + 2), 16));
+    },
+    pos: ({ x, y }) => {
+      writer.uint(x);
+      writer.uint(y);
+    },
+    bits: (values) => {
+      for (let i = 0; i < values.length; i += 8) {
+        let byte = 0;
+        for (let bit = 0; bit < 8 && i + bit < values.length; bit++) {
+          if (values[i + bit]) byte |= 1 << bit;
+        }
+        bytes.push(byte);
+      }
+    },
+  };
+  return writer;
+};
+
+const createReader = (bytes) => {
+  let offset = 0;
+  const byte = () => {
+    if (offset >= bytes.length) throw new Error('Share code is cut short');
+    return bytes[offset++];
+  };
+  const reader = {
+    uint: () => {
+      let value = 0;
+      let scale = 1;
+      for (;;) {
+        const next = byte();
+        value += (next & 0x7f) * scale;
+        if (next < 0x80) return value;
+        scale *= 0x80;
+        if (scale > 2 ** 35) throw new Error('Broken share code');
+      }
+    },
+    // A length or list size, which can't be more than the bytes left
+    count: (max = bytes.length - offset) => {
+      const value = reader.uint();
+      if (value > max) throw new Error('Broken share code');
+      return value;
+    },
+    text: () => {
+      const length = reader.count();
+      const encoded = Array.from({ length }, byte);
+      return new TextDecoder().decode(new Uint8Array(encoded));
+    },
+    color: () => `#${[byte(), byte(), byte()].map(value => value.toString(16).padStart(2, '0')).join('')}`,
+    pos: () => ({ x: reader.uint(), y: reader.uint() }),
+    bits: (count) => {
+      const packed = Array.from({ length: Math.ceil(count / 8) }, byte);
+      return Array.from({ length: count }, (_, i) => (packed[i >> 3] >> (i & 7)) & 1);
+    },
+    done: () => offset === bytes.length,
+  };
+  return reader;
+};
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (code) => {
+  if (!/^[\w-]+$/.test(code)) throw new Error('Not a level share code');
+  try {
+    return Array.from(atob(code.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+  } catch {
+    throw new Error('Not a level share code');
+  }
+};
+
+// Every inner tile of a grid in reading order
+const innerTiles = (width, height) => {
+  const tiles = [];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) tiles.push({ x, y });
+  }
+  return tiles;
+};
+
+const writeCustomLevel = (writer, settings) => {
+  const { width, height, layout } = settings;
+  writer.uint(width);
+  writer.uint(height);
+  writer.text(settings.name);
+  [settings.wallColor, settings.floorColor, settings.accentColor].forEach(writer.color);
+  writer.uint(settings.catcherSpeed);
+  writer.uint(settings.catcherRoles.length);
+  settings.catcherRoles.forEach(role => writer.uint(CATCHER_ROLES.indexOf(role)));
+  writer.uint(Math.round(settings.boneDensity * 100));
+  writer.uint(SPECIAL_TYPES.reduce((mask, type, i) => (settings.specialTypes.includes(type) ? mask | (1 << i) : mask), 0));
+  writer.uint(settings.couchTimeLimit);
+  writer.uint(settings.modeSchedule.length);
+  settings.modeSchedule.forEach(writer.uint);
+  writer.uint(LEVEL_GOALS.indexOf(settings.goal));
+
+  writer.pos(layout.spawn);
+  writer.pos(layout.couch);
+  layout.catchers.forEach(writer.pos);
+  writer.uint(layout.treat ? 1 : 0);
+  if (layout.treat) writer.pos(layout.treat);
+  const tiles = innerTiles(width, height);
+  const boneKeys = new Set(layout.bones.map(({ x, y }) => y * width + x));
+  writer.bits(tiles.map(({ x, y }) => layout.maze[y][x]));
+  writer.bits(tiles.map(({ x, y }) => boneKeys.has(y * width + x)));
+};
+
+// Reads a custom level back into the campaign's JSON format, checking the
+// size before anything is allocated for it
+const readCustomLevel = (reader) => {
+  const width = reader.uint();
+  const height = reader.uint();
+  for (const [key, value] of [['width', width], ['height', height]]) {
+    if (value % 2 === 0 || value < MIN_MAZE_SIZE[key] || value > MAX_MAZE_SIZE[key]) {
+      throw new Error(`Share code has a bad maze ${key}`);
+    }
+  }
+
+  const name = reader.text();
+  const colors = { wall: reader.color(), floor: reader.color(), accent: reader.color() };
+  const speed = reader.uint();
+  const roles = Array.from({ length: reader.count(MAX_CATCHERS) }, () => CATCHER_ROLES[reader.uint()]);
+  const boneDensity = reader.uint() / 100;
+  const specialMask = reader.uint();
+  const couchTimeLimit = reader.uint();
+  const modeSchedule = Array.from({ length: reader.count() }, reader.uint);
+  const goal = LEVEL_GOALS[reader.uint()];
+
+  const spawn = reader.pos();
+  const couch = reader.pos();
+  const catchers = roles.map(reader.pos);
+  const treat = reader.uint() === 1 ? reader.pos() : null;
+  const tiles = innerTiles(width, height);
+  const walls = reader.bits(tiles.length);
+  const boneBits = reader.bits(tiles.length);
+
+  const maze = Array.from({ length: height }, () => Array(width).fill(1));
+  tiles.forEach(({ x, y }, i) => { maze[y][x] = walls[i]; });
+  return {
+    name,
+    size: { width, height },
+    colors,
+    catchers: { roles, speed },
+    boneDensity,
+    specials: SPECIAL_TYPES.filter((_, i) => specialMask & (1 << i)),
+    couchTimeLimit,
+    modeSchedule,
+    goal,
+    layout: {
+      rows: formatRows(maze),
+      spawn,
+      couch,
+      catchers,
+      bones: tiles.filter((_, i) => boneBits[i]),
+      treat,
+    },
+  };
+};
+
+// `share` is { type: 'seeded', seed, level } for a level of the campaign,
+// or { type: 'custom', settings } with settings from parseLevel()
+export const encodeShareCode = (share) => {
+  const writer = createWriter();
+  writer.uint(SHARE_CODE_VERSION);
+  if (share.type === 'seeded') {
+    writer.uint(SEEDED);
+    writer.uint(share.level);
+    writer.text(share.seed);
+  } else {
+    writer.uint(CUSTOM);
+    writeCustomLevel(writer, share.settings);
+  }
+  const checksum = checksumOf(writer.bytes);
+  return toBase64Url([...writer.bytes, checksum & 0xff, checksum >> 8]);
+};
+
+// Decode and check a share code. Returns the same shape encodeShareCode()
+// takes, or throws an Error whose message can be shown to the player.
+export const decodeShareCode = (code) => {
+  const bytes = fromBase64Url(code.trim());
+  if (bytes.length <= CHECKSUM_BYTES) throw new Error('Not a level share code');
+  const body = bytes.slice(0, -CHECKSUM_BYTES);
+  const [low, high] = bytes.slice(-CHECKSUM_BYTES);
+  if (checksumOf(body) !== (low | (high << 8))) throw new Error("Share code doesn't check out - was it copied in full?");
+
+  const reader = createReader(body);
+  const version = reader.uint();
+  if (version !== SHARE_CODE_VERSION) throw new Error(`Unsupported share code version ${version}`);
+
+  const type = reader.uint();
+  let share;
+  if (type === SEEDED) {
+    const level = reader.uint();
+    const seed = reader.text();
+    if (level < 1 || level > MAX_LEVEL) throw new Error(`Share code is for a level that doesn't exist (${level})`);
+    if (seed === '' || seed.length > MAX_SEED_LENGTH) throw new Error('Share code has a bad seed');
+    share = { type: 'seeded', seed, level };
+  } else if (type === CUSTOM) {
+    const definition = readCustomLevel(reader);
+    try {
+      share = { type: 'custom', settings: parseLevel(definition) };
+    } catch (e) {
+      throw new Error(`Broken share code: ${e.message.replace(/^Level 1: /, '')}`);
+    }
+  } else {
+    throw new Error('Not a level share code');
+  }
+  if (!reader.done()) throw new Error('Broken share code');
+  return share;
+};
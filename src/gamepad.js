@@ -0,0 +1,107 @@
+// Controller support through the browser Gamepad API.
+//
+// The API has no input events, so connected pads are polled once a frame
+// while anything is subscribed. Listeners get:
+//   { type: 'direction', direction }  - the d-pad/left stick direction changed
+//                                       ({ dx, dy }, or null when let go)
+//   { type: 'press', button }         - a button went down: 'a', 'start', or
+//                                       'up'/'down'/'left'/'right' when a new
+//                                       direction is pushed
+// Buttons use the browser's "standard" layout. pollGamepads() does one
+// poll by hand, so it can be driven with a mocked navigator.getGamepads();
+// createGamepadPoller() gives a poller of its own, with nothing read yet.
+
+export const STICK_DEADZONE = 0.5;
+
+const BUTTONS = { a: 0, start: 9 };
+const DPAD = [
+  { index: 12, name: 'up', dx: 0, dy: -1 },
+  { index: 13, name: 'down', dx: 0, dy: 1 },
+  { index: 14, name: 'left', dx: -1, dy: 0 },
+  { index: 15, name: 'right', dx: 1, dy: 0 },
+];
+
+const isPressed = (pad, index) => Boolean(pad.buttons[index]?.pressed);
+
+// The left stick's direction along whichever axis it's pushed further, or
+// null inside the deadzone
+const stickDirection = (pad, deadzone) => {
+  const [x = 0, y = 0] = pad.axes;
+  if (Math.max(Math.abs(x), Math.abs(y)) < deadzone) return null;
+  return Math.abs(x) > Math.abs(y)
+    ? { dx: Math.sign(x), dy: 0 }
+    : { dx: 0, dy: Math.sign(y) };
+};
+
+// The combined input of every connected pad - the first pad pushing a
+// direction wins, buttons count if held on any pad
+export const readGamepads = (pads, deadzone = STICK_DEADZONE) => {
+  let direction = null;
+  const buttons = [];
+  for (const pad of pads) {
+    if (!pad?.connected) continue;
+    const dpad = DPAD.find(({ index }) => isPressed(pad, index));
+    direction ??= dpad ? { dx: dpad.dx, dy: dpad.dy } : stickDirection(pad, deadzone);
+    for (const [name, index] of Object.entries(BUTTONS)) {
+      if (isPressed(pad, index) && !buttons.includes(name)) buttons.push(name);
+    }
+  }
+  return { direction, buttons };
+};
+
+const directionName = (direction) => DPAD.find(({ dx, dy }) => dx === direction.dx && dy === direction.dy).name;
+
+const sameDirection = (a, b) => a === b || (a !== null && b !== null && a.dx === b.dx && a.dy === b.dy);
+
+// A poller with its own listeners and last-read state. The game shares the
+// one below; tests make their own so nothing carries over between them.
+export const createGamepadPoller = () => {
+  const listeners = new Set();
+  let previous = { direction: null, buttons: [] };
+  let frame = null;
+
+  // Read the pads once and tell every listener what changed since last
+  // time. Returns the events sent.
+  const poll = () => {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const current = readGamepads(Array.from(pads ?? []));
+    const events = [];
+    if (!sameDirection(current.direction, previous.direction)) {
+      events.push({ type: 'direction', direction: current.direction });
+      if (current.direction) events.push({ type: 'press', button: directionName(current.direction) });
+    }
+    for (const button of current.buttons) {
+      if (!previous.buttons.includes(button)) events.push({ type: 'press', button });
+    }
+    previous = current;
+    events.forEach(event => listeners.forEach(listener => listener(event)));
+    return events;
+  };
+
+  const pollEachFrame = () => {
+    poll();
+    frame = requestAnimationFrame(pollEachFrame);
+  };
+
+  // Start getting controller events. Returns a function that stops them.
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    if (frame === null && typeof requestAnimationFrame !== 'undefined') {
+      frame = requestAnimationFrame(pollEachFrame);
+    }
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0 && frame !== null) {
+        cancelAnimationFrame(frame);
+        frame = null;
+      }
+    };
+  };
+
+  return { poll, subscribe };
+};
+
+const gamepads = createGamepadPoller();
+
+export const pollGamepads = gamepads.poll;
+export const subscribeGamepad = gamepads.subscribe;
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { STICK_DEADZONE, createGamepadPoller, readGamepads } from './gamepad.js';
+
+// A connected pad in the standard layout, with the given buttons held
+const pad = ({ axes = [0, 0], pressed = [] } = {}) => ({
+  connected: true,
+  axes,
+  buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) })),
+});
+
+const A = 0;
+const START = 9;
+const DPAD_UP = 12;
+const DPAD_RIGHT = 15;
+
+let pads;
+let poller;
+beforeEach(() => {
+  pads = [];
+  vi.stubGlobal('navigator', { getGamepads: () => pads });
+  poller = createGamepadPoller();
+});
+
+describe('readGamepads', () => {
+  it('ignores the stick inside the deadzone', () => {
+    const nudge = STICK_DEADZONE - 0.1;
+    expect(readGamepads([pad({ axes: [nudge, -nudge] })]).direction).toBeNull();
+  });
+
+  it('follows the stick along the axis pushed further', () => {
+    expect(readGamepads([pad({ axes: [0.9, -0.6] })]).direction).toEqual({ dx: 1, dy: 0 });
+    expect(readGamepads([pad({ axes: [0.6, -0.9] })]).direction).toEqual({ dx: 0, dy: -1 });
+  });
+
+  it('lets the d-pad win over the stick', () => {
+    expect(readGamepads([pad({ axes: [1, 0], pressed: [DPAD_UP] })]).direction).toEqual({ dx: 0, dy: -1 });
+  });
+
+  it('skips pads that have gone', () => {
+    expect(readGamepads([null, { ...pad({ pressed: [A] }), connected: false }])).toEqual({ direction: null, buttons: [] });
+  });
+});
+
+describe('polling', () => {
+  it('sends a direction change once', () => {
+    pads = [pad({ pressed: [DPAD_RIGHT] })];
+    expect(poller.poll()).toEqual([
+      { type: 'direction', direction: { dx: 1, dy: 0 } },
+      { type: 'press', button: 'right' },
+    ]);
+    expect(poller.poll()).toEqual([]);
+
+    // The stick pushing the same way is no change
+    pads = [pad({ axes: [1, 0] })];
+    expect(poller.poll()).toEqual([]);
+
+    pads = [pad()];
+    expect(poller.poll()).toEqual([{ type: 'direction', direction: null }]);
+  });
+
+  it('sends a button press only as it goes down', () => {
+    pads = [pad({ pressed: [A] })];
+    expect(poller.poll()).toEqual([{ type: 'press', button: 'a' }]);
+    expect(poller.poll()).toEqual([]);
+
+    pads = [pad({ pressed: [A, START] })];
+    expect(poller.poll()).toEqual([{ type: 'press', button: 'start' }]);
+
+    pads = [pad()];
+    expect(poller.poll()).toEqual([]);
+    pads = [pad({ pressed: [A] })];
+    expect(poller.poll()).toEqual([{ type: 'press', button: 'a' }]);
+  });
+
+  it('tells every subscriber', () => {
+    const listener = vi.fn();
+    const stop = poller.subscribe(listener);
+    pads = [pad({ pressed: [A] })];
+    poller.poll();
+    stop();
+    pads = [pad()];
+    poller.poll();
+    pads = [pad({ pressed: [A] })];
+    poller.poll();
+
+    expect(listener.mock.calls).toEqual([[{ type: 'press', button: 'a' }]]);
+  });
+
+  it('finds nothing with no pads connected', () => {
+    pads = [null, null, null, null];
+    expect(poller.poll()).toEqual([]);
+  });
+
+  it('finds nothing without the Gamepad API', () => {
+    vi.stubGlobal('navigator', {});
+    expect(poller.poll()).toEqual([]);
+  });
+});
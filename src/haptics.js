@@ -0,0 +1,52 @@
+// Haptic feedback through the Vibration API, for phones.
+//
+// The API only switches the motor on and off, so intensity scales how long
+// each buzz lasts rather than how strong it is. Where navigator.vibrate
+// doesn't exist (desktop browsers, iOS) everything here does nothing.
+
+import { readJson, writeJson } from './storage.js';
+
+const HAPTICS_SETTINGS_KEY = 'socksBoneHuntHaptics'; // { enabled, intensity }
+
+export const DEFAULT_HAPTICS_SETTINGS = { enabled: true, intensity: 1 };
+export const MIN_HAPTICS_INTENSITY = 0.25;
+
+// Patterns as the API takes them: ms on, ms off, ms on, ...
+const PATTERNS = {
+  bone: [12],
+  caught: [120, 60, 120, 60, 250],
+  catcherEaten: [30, 40, 30, 40, 80],
+  levelComplete: [60, 50, 60, 50, 60, 100, 200],
+};
+
+export const loadHapticsSettings = () => {
+  const saved = readJson(HAPTICS_SETTINGS_KEY, {});
+  const intensity = saved?.intensity;
+  return {
+    enabled: saved?.enabled !== false,
+    intensity: typeof intensity === 'number' && intensity >= MIN_HAPTICS_INTENSITY && intensity <= 1
+      ? intensity
+      : DEFAULT_HAPTICS_SETTINGS.intensity,
+  };
+};
+
+export const saveHapticsSettings = (settings) => writeJson(HAPTICS_SETTINGS_KEY, settings);
+
+export const isHapticsSupported = () => typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+
+// A pattern with its buzzes shortened for the intensity; the pauses
+// between them stay as they are
+export const getHapticPattern = (name, intensity = 1) =>
+  PATTERNS[name]?.map((ms, i) => (i % 2 === 0 ? Math.max(1, Math.round(ms * intensity)) : ms)) ?? null;
+
+// Buzz for a game event, with the saved settings unless others are given.
+// Returns whether a vibration was asked for.
+export const vibrate = (name, settings = loadHapticsSettings()) => {
+  const pattern = getHapticPattern(name, settings.intensity);
+  if (!settings.enabled || !pattern || !isHapticsSupported()) return false;
+  try {
+    return navigator.vibrate(pattern);
+  } catch {
+    return false; // Some browsers throw when vibration is blocked
+  }
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getHapticPattern, saveHapticsSettings, vibrate } from './haptics.js';
+import { stubLocalStorage } from './test/localStorage.js';
+
+let buzz;
+beforeEach(() => {
+  stubLocalStorage();
+  buzz = vi.fn(() => true);
+  vi.stubGlobal('navigator', { vibrate: buzz });
+});
+
+describe('getHapticPattern', () => {
+  it('shortens the buzzes but not the pauses', () => {
+    expect(getHapticPattern('caught')).toEqual([120, 60, 120, 60, 250]);
+    expect(getHapticPattern('caught', 0.5)).toEqual([60, 60, 60, 60, 125]);
+  });
+
+  it('never shortens a buzz to nothing', () => {
+    expect(getHapticPattern('bone', 0.01)).toEqual([1]);
+  });
+
+  it('has nothing for an unknown event', () => {
+    expect(getHapticPattern('sneeze')).toBeNull();
+  });
+});
+
+describe('vibrate', () => {
+  it('buzzes with the saved intensity', () => {
+    saveHapticsSettings({ enabled: true, intensity: 0.5 });
+
+    expect(vibrate('bone')).toBe(true);
+    expect(buzz).toHaveBeenCalledWith([6]);
+  });
+
+  it('uses the settings it is given over the saved ones', () => {
+    saveHapticsSettings({ enabled: false, intensity: 1 });
+
+    expect(vibrate('bone', { enabled: true, intensity: 0.25 })).toBe(true);
+    expect(buzz).toHaveBeenCalledWith([3]);
+  });
+
+  it('does nothing when turned off', () => {
+    saveHapticsSettings({ enabled: false, intensity: 1 });
+
+    expect(vibrate('bone')).toBe(false);
+    expect(buzz).not.toHaveBeenCalled();
+  });
+
+  it('does nothing for an unknown event', () => {
+    expect(vibrate('sneeze')).toBe(false);
+    expect(buzz).not.toHaveBeenCalled();
+  });
+
+  it('does nothing without the Vibration API', () => {
+    vi.stubGlobal('navigator', {});
+    expect(vibrate('bone')).toBe(false);
+  });
+
+  it('does nothing when the browser blocks vibration', () => {
+    buzz.mockImplementation(() => {
+      throw new Error('blocked');
+    });
+    expect(vibrate('bone')).toBe(false);
+  });
+});
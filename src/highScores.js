@@ -0,0 +1,142 @@
+// High score records for the leaderboard.
+//
+// Every record keeps how the run went, not just the score:
+// {
+//   name, score, date,           // date the score was entered (ISO)
+//   mode,                        // classic or daily
+//   outcome,                     // won or lost
+//   level,                       // level reached
+//   lives,                       // lives left at the end
+//   specials: ['pizza', ...],    // special items eaten
+//   catchersEaten,
+//   time,                        // ms of play
+//   seed,
+//   replay,                      // input recording, if there is one
+// }
+// Records listed by the leaderboard server leave the replay out (it's
+// fetched on its own when someone wants to watch it) and carry instead:
+//   id,                          // the server's name for the record
+//   replayVersion,               // rules version of the replay, null if none
+// Scores saved before records had these fields were a bare list of
+// { name, score, date, replay }; they are migrated on load with the
+// missing stats left as null.
+
+import { readJson, writeJson, writeJsonShrinking } from './storage.js';
+
+const HIGH_SCORES_KEY = 'socksBoneHuntHighScores'; // { version, entries: [record, ...] }
+const HIGH_SCORES_VERSION = 2;
+export const MAX_HIGH_SCORES = 20; // Per mode
+export const START_SCREEN_SCORES = 5;
+export const LEADERBOARD_MODES = ['classic', 'daily'];
+
+export const isScoreRecord = (entry) => entry !== null && typeof entry === 'object' &&
+  typeof entry.name === 'string' && Number.isFinite(entry.score) && LEADERBOARD_MODES.includes(entry.mode);
+
+// A version 1 entry, with what it can't know left empty
+const migrateEntry = (entry) => ({
+  name: String(entry?.name ?? '???'),
+  score: Number(entry?.score) || 0,
+  date: typeof entry?.date === 'string' ? entry.date : null,
+  mode: 'classic',
+  outcome: null,
+  level: null,
+  lives: null,
+  specials: null,
+  catchersEaten: null,
+  time: null,
+  seed: typeof entry?.replay?.seed === 'string' ? entry.replay.seed : null,
+  replay: entry?.replay ?? null,
+});
+
+const byScore = (a, b) => b.score - a.score;
+
+export const loadHighScores = () => {
+  const saved = readJson(HIGH_SCORES_KEY, null);
+  if (Array.isArray(saved)) {
+    const migrated = saved.map(migrateEntry).sort(byScore);
+    writeJson(HIGH_SCORES_KEY, { version: HIGH_SCORES_VERSION, entries: migrated });
+    return migrated;
+  }
+  if (saved?.version !== HIGH_SCORES_VERSION || !Array.isArray(saved.entries)) return [];
+  return saved.entries.filter(isScoreRecord).sort(byScore);
+};
+
+// The stats of a finished run, from the engine state it ended with
+export const getRunStats = (game) => ({
+  level: game.level,
+  lives: game.lives,
+  specials: [...game.collectedSpecials],
+  catchersEaten: game.catchersEaten,
+  time: game.playTime,
+  seed: game.seed,
+});
+
+export const createScoreRecord = ({ name, score, mode, outcome, stats, replay }) => ({
+  name,
+  score,
+  date: new Date().toISOString(),
+  mode,
+  outcome,
+  ...stats,
+  replay: replay ?? null,
+});
+
+export const getModeScores = (entries, mode) => entries.filter(entry => entry.mode === mode);
+
+export const isHighScore = (entries, mode, score) => {
+  if (score === 0) return false;
+  const scores = getModeScores(entries, mode);
+  return scores.length < MAX_HIGH_SCORES || score > scores[scores.length - 1].score;
+};
+
+// A list with the record added, keeping the best MAX_HIGH_SCORES of each mode
+export const addHighScore = (entries, record) => {
+  const all = [...entries, record].sort(byScore);
+  return LEADERBOARD_MODES
+    .flatMap(mode => getModeScores(all, mode).slice(0, MAX_HIGH_SCORES))
+    .sort(byScore);
+};
+
+// Replays take up nearly all the room a record needs. The oldest record's
+// replay goes first; null once there are none left to drop.
+export const dropOldestReplay = (entries) => {
+  const oldest = entries
+    .filter(entry => entry.replay)
+    .reduce((found, entry) => (!found || (entry.date ?? '') < (found.date ?? '') ? entry : found), null);
+  return oldest && entries.map(entry => (entry === oldest ? { ...entry, replay: null } : entry));
+};
+
+// Add a record to the scores in this browser. If storage is full, replays
+// are dropped oldest first until the scores fit. Returns { entries, saved,
+// droppedReplays }.
+export const saveHighScore = (record) => {
+  const { value, saved, shrunk } = writeJsonShrinking(
+    HIGH_SCORES_KEY,
+    { version: HIGH_SCORES_VERSION, entries: addHighScore(loadHighScores(), record) },
+    ({ entries }) => {
+      const trimmed = dropOldestReplay(entries);
+      return trimmed && { version: HIGH_SCORES_VERSION, entries: trimmed };
+    },
+  );
+  return { entries: value.entries, saved, droppedReplays: shrunk };
+};
+
+// A record as the server lists it, without its replay
+export const toListedRecord = ({ replay, ...record }) => ({
+  ...record,
+  replay: null,
+  replayVersion: replay?.rulesVersion ?? record.replayVersion ?? null,
+});
+
+// Leaderboard sorting - each puts the best first, then by score
+export const LEADERBOARD_SORTS = {
+  score: { label: 'SCORE', compare: byScore },
+  level: { label: 'LEVEL', compare: (a, b) => (b.level ?? 0) - (a.level ?? 0) || byScore(a, b) },
+  time: { label: 'FASTEST', compare: (a, b) => (a.time ?? Infinity) - (b.time ?? Infinity) || byScore(a, b) },
+  date: { label: 'NEWEST', compare: (a, b) => (b.date ?? '').localeCompare(a.date ?? '') || byScore(a, b) },
+};
+
+export const sortLeaderboard = (entries, { sort = 'score', mode = 'all' } = {}) =>
+  entries
+    .filter(entry => mode === 'all' || entry.mode === mode)
+    .sort(LEADERBOARD_SORTS[sort].compare);
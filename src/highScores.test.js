@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createScoreRecord, saveHighScore } from './highScores.js';
+import { saveDailyScore } from './daily.js';
+import { createLocalBackend } from './leaderboard.js';
+import { stubLocalStorage } from './test/localStorage.js';
+
+const REPLAY = { seed: 'FULL', inputs: 'x'.repeat(1000) };
+
+let storage;
+beforeEach(() => {
+  storage = stubLocalStorage();
+});
+
+const record = (name, score, date) => ({
+  ...createScoreRecord({ name, score, mode: 'classic', outcome: 'lost', stats: {}, replay: REPLAY }),
+  date,
+});
+
+describe('saving high scores', () => {
+  it('drops the oldest replays when storage is full', () => {
+    saveHighScore(record('OLD', 300, '2026-01-01T00:00:00.000Z'));
+    saveHighScore(record('MID', 100, '2026-02-01T00:00:00.000Z'));
+    storage.quota = 2500;
+
+    const { entries, saved, droppedReplays } = saveHighScore(record('NEW', 200, '2026-03-01T00:00:00.000Z'));
+
+    expect(saved).toBe(true);
+    expect(droppedReplays).toBe(1);
+    expect(entries.map(entry => [entry.name, entry.replay !== null])).toEqual([
+      ['OLD', false], ['NEW', true], ['MID', true],
+    ]);
+  });
+
+  it('says so when even without replays the scores don\'t fit', () => {
+    storage.quota = 100;
+
+    expect(saveHighScore(record('NEW', 200, '2026-03-01T00:00:00.000Z'))).toMatchObject({ saved: false, droppedReplays: 0 });
+  });
+
+  it('turns the score down for good through the local leaderboard', async () => {
+    storage.quota = 100;
+
+    await expect(createLocalBackend().submit(record('NEW', 200, '2026-03-01T00:00:00.000Z')))
+      .rejects.toMatchObject({ message: 'Browser storage is full', retry: false });
+  });
+
+  it('drops replays from the oldest day first for the daily table', () => {
+    saveDailyScore('2026-01-01', record('OLD', 100, '2026-01-01T00:00:00.000Z'));
+    saveDailyScore('2026-01-02', record('MID', 100, '2026-01-02T00:00:00.000Z'));
+    storage.quota = 2500;
+
+    const { entries, saved, droppedReplays } = saveDailyScore('2026-01-03', record('NEW', 100, '2026-01-03T00:00:00.000Z'));
+
+    expect(saved).toBe(true);
+    expect(droppedReplays).toBe(1);
+    expect(entries[0].replay).toEqual(REPLAY);
+    const days = JSON.parse(localStorage.getItem('socksBoneHuntDailyScores'));
+    expect(days['2026-01-01'][0].replay).toBeNull();
+    expect(days['2026-01-02'][0].replay).toEqual(REPLAY);
+  });
+});
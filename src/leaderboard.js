@@ -0,0 +1,159 @@
+// The leaderboard the game reads and submits scores through.
+//
+// A backend is four functions, the first three giving every entry best
+// first (see highScores.js for the records):
+//   cached()        - what can be shown right away, without waiting
+//   list()          - the current table (a promise)
+//   submit(record)  - add a score (a promise of { entries, droppedReplays },
+//                     the number of old replays dropped to make room)
+//   replay(entry)   - the replay of a listed entry (a promise)
+// There are two: the local one keeps scores in this browser's localStorage,
+// the HTTP one talks to the shared server in server/leaderboard.js. Builds
+// with VITE_LEADERBOARD_URL set use the server. The server lists scores
+// without their replays, and each one is only fetched when it's watched.
+//
+// Scores that can't reach the server wait in an offline queue, are shown
+// marked as pending, and are sent when the browser comes back online or the
+// table is next loaded.
+
+import { readJson, writeJson } from './storage.js';
+import { loadHighScores, saveHighScore, addHighScore, isScoreRecord, toListedRecord } from './highScores.js';
+import { RULES_VERSION } from './game/engine.js';
+import { isReplayCompatible } from './game/replay.js';
+import { DEV_LEADERBOARD_SECRET, signScore } from './scoreSignature.js';
+
+const QUEUE_KEY = 'socksBoneHuntScoreQueue'; // [record, ...] waiting to be sent, oldest first
+const CACHE_KEY = 'socksBoneHuntLeaderboardCache'; // The last table the server sent
+const MAX_QUEUED = 20;
+
+// An Error that says whether trying again later could work - no connection,
+// a busy or broken server - or the score was turned down for good
+const leaderboardError = (message, retry) => Object.assign(new Error(message), { retry });
+
+const readEntries = (value) => (Array.isArray(value) ? value.filter(isScoreRecord) : []);
+
+export const createLocalBackend = () => ({
+  cached: loadHighScores,
+  list: async () => loadHighScores(),
+  submit: async (record) => {
+    const { entries, saved, droppedReplays } = saveHighScore(record);
+    if (!saved) throw leaderboardError('Browser storage is full', false);
+    return { entries, droppedReplays };
+  },
+  replay: async (entry) => entry.replay,
+});
+
+export const createHttpBackend = (url, secret) => {
+  const request = async (path, options) => {
+    let response;
+    try {
+      response = await fetch(`${url.replace(/\/$/, '')}${path}`, options);
+    } catch {
+      throw leaderboardError('Leaderboard server is unreachable', true);
+    }
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const retry = response.status === 429 || response.status >= 500;
+      throw leaderboardError(body?.error ?? `Leaderboard server replied ${response.status}`, retry);
+    }
+    return body;
+  };
+
+  // The table in a reply, kept for offline use. Replays are left out even
+  // if the server sent them, so the copy stays small.
+  const readTable = (body) => {
+    if (!Array.isArray(body?.entries)) throw leaderboardError('Leaderboard server sent a bad reply', true);
+    const entries = readEntries(body.entries).map(toListedRecord);
+    writeJson(CACHE_KEY, entries);
+    return entries;
+  };
+
+  const cached = () => readEntries(readJson(CACHE_KEY, [])).map(toListedRecord);
+
+  return {
+    cached,
+    // Offline, the last table seen is better than none
+    list: () => request('/scores').then(readTable).catch(cached),
+    submit: async (record) => ({
+      entries: readTable(await request('/scores', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...record, signature: await signScore(record, secret) }),
+      })),
+      droppedReplays: 0,
+    }),
+    replay: async (entry) => {
+      const body = await request(`/scores/${encodeURIComponent(entry.id)}/replay`);
+      if (body?.replay === null || typeof body?.replay !== 'object') {
+        throw leaderboardError('Leaderboard server sent a bad reply', true);
+      }
+      return body.replay;
+    },
+  };
+};
+
+// Whether an entry has a replay this version of the game can play, whether
+// it's carried along or still on the server
+export const canWatchReplay = (entry) =>
+  (entry.replay ? isReplayCompatible(entry.replay) : entry.replayVersion === RULES_VERSION);
+
+// Wraps a backend with the offline queue. submit() resolves to
+// { entries, queued, droppedReplays }, or rejects with the reason a score
+// was turned down.
+export const createLeaderboard = (backend) => {
+  const readQueue = () => readEntries(readJson(QUEUE_KEY, []));
+  const withPending = (entries) => readQueue().reduce((all, record) => addHighScore(all, { ...record, pending: true }), entries);
+
+  let known = backend.cached();
+  let syncing = null;
+
+  // Send the queue oldest first, stopping at the first score that still
+  // can't get through. Scores the server turns down are dropped.
+  const sync = () => {
+    syncing ??= (async () => {
+      for (let queue = readQueue(); queue.length > 0; queue = readQueue()) {
+        try {
+          ({ entries: known } = await backend.submit(queue[0]));
+        } catch (e) {
+          if (e.retry) break;
+          console.warn('Leaderboard turned down a queued score:', e.message);
+        }
+        writeJson(QUEUE_KEY, readQueue().slice(1));
+      }
+    })().finally(() => {
+      syncing = null;
+    });
+    return syncing;
+  };
+
+  return {
+    cached: () => withPending(known),
+    // Scores not sent yet still carry theirs
+    replay: async (entry) => entry.replay ?? backend.replay(entry),
+    list: async () => {
+      await sync();
+      known = await backend.list();
+      return withPending(known);
+    },
+    submit: async (record) => {
+      await sync();
+      try {
+        const { entries, droppedReplays } = await backend.submit(record);
+        known = entries;
+        return { entries: withPending(known), queued: false, droppedReplays };
+      } catch (e) {
+        if (!e.retry) throw e;
+        if (!writeJson(QUEUE_KEY, [...readQueue(), record].slice(-MAX_QUEUED))) {
+          throw leaderboardError('Leaderboard is offline and browser storage is full', false);
+        }
+        return { entries: withPending(known), queued: true, droppedReplays: 0 };
+      }
+    },
+  };
+};
+
+const serverUrl = import.meta.env.VITE_LEADERBOARD_URL;
+
+export const leaderboard = createLeaderboard(serverUrl
+  ? createHttpBackend(serverUrl, import.meta.env.VITE_LEADERBOARD_SECRET ?? DEV_LEADERBOARD_SECRET)
+  : createLocalBackend());
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createHttpBackend, createLeaderboard, canWatchReplay } from './leaderboard.js';
+import { createScoreRecord } from './highScores.js';
+import { RULES_VERSION } from './game/engine.js';
+import { stubLocalStorage } from './test/localStorage.js';
+
+const URL = 'https://scores.example';
+const REPLAY = { rulesVersion: RULES_VERSION, seed: 'FULL', inputs: [[0, 'x'.repeat(1000)]] };
+
+const record = (name, score) => ({
+  ...createScoreRecord({ name, score, mode: 'classic', outcome: 'lost', stats: {}, replay: REPLAY }),
+  id: `id-${name}`,
+});
+
+// A server answering each path with the given body
+const stubServer = (replies) => {
+  const fetch = vi.fn(async (url) => {
+    const body = replies[url.slice(URL.length)];
+    return { ok: body !== undefined, status: body === undefined ? 404 : 200, json: async () => body ?? { error: 'Not found' } };
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+beforeEach(() => {
+  stubLocalStorage();
+});
+
+describe('the HTTP leaderboard', () => {
+  it('keeps replays out of the offline copy', async () => {
+    // Even from a server that still sends them
+    stubServer({ '/scores': { entries: [record('AAA', 200), record('BBB', 100)] } });
+    const backend = createHttpBackend(URL, 'secret');
+
+    const entries = await backend.list();
+
+    expect(entries.map(entry => [entry.name, entry.replay, entry.replayVersion])).toEqual([
+      ['AAA', null, RULES_VERSION], ['BBB', null, RULES_VERSION],
+    ]);
+    expect(localStorage.getItem('socksBoneHuntLeaderboardCache')).not.toContain('xxxx');
+    expect(backend.cached()).toEqual(entries);
+  });
+
+  it('fetches a replay when it is watched', async () => {
+    const fetch = stubServer({
+      '/scores': { entries: [record('AAA', 200)] },
+      '/scores/id-AAA/replay': { replay: REPLAY },
+    });
+    const leaderboard = createLeaderboard(createHttpBackend(URL, 'secret'));
+    const [entry] = await leaderboard.list();
+
+    expect(canWatchReplay(entry)).toBe(true);
+    expect(await leaderboard.replay(entry)).toEqual(REPLAY);
+    expect(fetch).toHaveBeenLastCalledWith(`${URL}/scores/id-AAA/replay`, undefined);
+  });
+
+  it('turns down a replay the server doesn\'t have', async () => {
+    stubServer({});
+    const backend = createHttpBackend(URL, 'secret');
+
+    await expect(backend.replay({ id: 'gone' })).rejects.toMatchObject({ message: 'Not found', retry: false });
+  });
+
+  it('only offers replays this version can play', () => {
+    expect(canWatchReplay({ replay: null, replayVersion: RULES_VERSION })).toBe(true);
+    expect(canWatchReplay({ replay: null, replayVersion: RULES_VERSION - 1 })).toBe(false);
+    expect(canWatchReplay({ replay: null, replayVersion: null })).toBe(false);
+    expect(canWatchReplay({ replay: REPLAY })).toBe(true);
+  });
+});
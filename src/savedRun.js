@@ -0,0 +1,118 @@
+// The run in progress, saved so it survives closing or reloading the tab.
+//
+// A snapshot is the whole engine state (maze, Socks, bones, catchers,
+// specials, dog treat, couch, level, score, timers and RNG state) plus the
+// input recording so far, so a continued run still ends with a working
+// replay. It is written when a level starts and whenever the game pauses.
+// A custom level is stored as its definition and goes through parseLevel()
+// again on load, like one from a share code. Anything that doesn't look like
+// a snapshot this version wrote - an older format, other game rules, or a
+// hand-edited or truncated value - is thrown away rather than loaded.
+
+import { readJson, writeJson, removeJson } from './storage.js';
+import { RULES_VERSION, MAX_LEVEL } from './game/engine.js';
+import {
+  SPECIAL_TYPES, CATCHER_ROLES, MIN_MAZE_SIZE, MAX_MAZE_SIZE, parseLevel, toLevelDefinition,
+} from './game/levels.js';
+
+const SAVED_RUN_KEY = 'socksBoneHuntSavedRun'; // { version, rulesVersion, savedAt, game, customLevel, recording }
+const SAVE_VERSION = 3;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const isMaze = (maze) => Array.isArray(maze) &&
+  maze.length >= MIN_MAZE_SIZE.height && maze.length <= MAX_MAZE_SIZE.height &&
+  Array.isArray(maze[0]) && maze[0].length >= MIN_MAZE_SIZE.width && maze[0].length <= MAX_MAZE_SIZE.width &&
+  maze.every(row => Array.isArray(row) && row.length === maze[0].length && row.every(tile => tile === 0 || tile === 1));
+
+// What createGame() puts in game.timers
+const TIMER_KEYS = [
+  'socksMove', 'catcherMove', 'catcherMode', 'couch', 'specialSpawn', 'specialDespawn', 'specialMove', 'treatMove',
+];
+
+const isValidConfig = (config) => isObject(config) &&
+  Number.isInteger(config.maxLevel) && config.maxLevel >= 1 && config.maxLevel <= MAX_LEVEL &&
+  Number.isInteger(config.lives) && config.lives > 0 &&
+  typeof config.inputBuffering === 'boolean';
+
+// Checks the parts of the engine state the renderer and engine index into
+// without looking twice - enough that a loaded snapshot can't crash the game
+const isValidGame = (game) => {
+  if (!isObject(game) || !isMaze(game.maze)) return false;
+  const width = game.maze[0].length;
+  const height = game.maze.length;
+  const isPos = (pos) => isObject(pos) && Number.isInteger(pos.x) && Number.isInteger(pos.y) &&
+    pos.x >= 0 && pos.y >= 0 && pos.x < width && pos.y < height;
+  const isSpecialList = (list) => Array.isArray(list) && list.every(type => SPECIAL_TYPES.includes(type));
+
+  return ['playing', 'paused'].includes(game.gameState) &&
+    ['classic', 'daily', 'custom'].includes(game.mode) &&
+    (game.mode === 'custom'
+      ? game.level === 1 && game.customLevel.width === width && game.customLevel.height === height
+      : game.customLevel === null) &&
+    Number.isInteger(game.level) && game.level >= 1 && game.level <= MAX_LEVEL &&
+    Number.isInteger(game.lives) && game.lives > 0 &&
+    isCount(game.score) && isCount(game.catchersEaten) && Number.isFinite(game.playTime) &&
+    typeof game.seed === 'string' && Number.isInteger(game.rngState) &&
+    isValidConfig(game.config) && isObject(game.timers) &&
+    TIMER_KEYS.every(key => Number.isFinite(game.timers[key])) &&
+    ['scatter', 'chase'].includes(game.catcherMode) && isCount(game.modePhase) &&
+    Number.isFinite(game.frightenedTimer) && game.frightenedTimer >= 0 &&
+    isPos(game.socks) && isPos(game.socks.from) && isPos(game.couch) &&
+    Array.isArray(game.bones) && game.bones.every(isPos) &&
+    Number.isInteger(game.nextCatcherId) && game.nextCatcherId >= 1 &&
+    Array.isArray(game.catchers) && game.catchers.every(c => isPos(c) && isPos(c.from) && isPos(c.home) &&
+      Number.isInteger(c.id) && c.id < game.nextCatcherId) &&
+    Array.isArray(game.catcherSpawns) && game.catcherSpawns.every(isPos) &&
+    Array.isArray(game.pendingRespawns) && game.pendingRespawns.every(respawn => isObject(respawn) &&
+      Number.isFinite(respawn.delay) && CATCHER_ROLES.includes(respawn.role) && isPos(respawn.home)) &&
+    (game.specialItem === null || (isPos(game.specialItem) && SPECIAL_TYPES.includes(game.specialItem.type))) &&
+    isSpecialList(game.collectedSpecials) && isSpecialList(game.spawnedSpecials) &&
+    (game.dogTreat === null || isPos(game.dogTreat)) &&
+    typeof game.hasDogTreat === 'boolean';
+};
+
+const isValidRecording = (recording) => isObject(recording) &&
+  recording.rulesVersion === RULES_VERSION && isCount(recording.ticks) &&
+  Array.isArray(recording.inputs) && recording.inputs.every(input => Array.isArray(input) && input.length === 2);
+
+// The custom level's settings from its stored definition, null for other
+// runs, or undefined if the definition doesn't hold up
+const restoreCustomLevel = (saved) => {
+  if (saved.game?.mode !== 'custom') return null;
+  try {
+    return parseLevel(saved.customLevel);
+  } catch {
+    return undefined;
+  }
+};
+
+// The saved run as { game, recording, savedAt }, or null if there is
+// none. A snapshot that fails the checks is deleted.
+export const loadSavedRun = () => {
+  const saved = readJson(SAVED_RUN_KEY, null); // Also null if it isn't JSON at all
+  const customLevel = isObject(saved) ? restoreCustomLevel(saved) : undefined;
+  const game = customLevel === undefined ? null : { ...saved.game, customLevel, events: [] };
+  if (!game || saved.version !== SAVE_VERSION || saved.rulesVersion !== RULES_VERSION || !isValidGame(game)) {
+    removeJson(SAVED_RUN_KEY);
+    return null;
+  }
+  return {
+    game,
+    // A missing or broken recording only costs the replay, not the run
+    recording: isValidRecording(saved.recording) ? saved.recording : null,
+    savedAt: saved.savedAt,
+  };
+};
+
+export const saveRun = (game, recording) => writeJson(SAVED_RUN_KEY, {
+  version: SAVE_VERSION,
+  rulesVersion: RULES_VERSION,
+  savedAt: new Date().toISOString(),
+  game: { ...game, customLevel: null, events: [] },
+  customLevel: game.customLevel && toLevelDefinition(game.customLevel),
+  recording,
+});
+
+export const clearSavedRun = () => removeJson(SAVED_RUN_KEY);
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createGame, startGame, step, togglePause } from './game/engine.js';
+import { TICK_MS } from './game/replay.js';
+import { CAMPAIGN_LEVELS, parseLevel, toLevelDefinition } from './game/levels.js';
+import { createBlankLevel } from './customLevels.js';
+import { loadSavedRun, saveRun } from './savedRun.js';
+import { stubLocalStorage } from './test/localStorage.js';
+
+const SAVED_RUN_KEY = 'socksBoneHuntSavedRun';
+
+beforeEach(() => {
+  stubLocalStorage();
+});
+
+const customRun = () => startGame(createGame(), { seed: 'SAVE', customLevel: parseLevel(createBlankLevel()) });
+
+// Save a run, then change what ended up in storage
+const saveEdited = (game, edit) => {
+  saveRun(game, null);
+  const saved = JSON.parse(localStorage.getItem(SAVED_RUN_KEY));
+  edit(saved);
+  localStorage.setItem(SAVED_RUN_KEY, JSON.stringify(saved));
+};
+
+describe('toLevelDefinition', () => {
+  it('gives back what parseLevel() was given', () => {
+    for (const settings of [...CAMPAIGN_LEVELS, parseLevel(createBlankLevel())]) {
+      expect(parseLevel(toLevelDefinition(settings))).toEqual(settings);
+    }
+  });
+});
+
+describe('saved runs', () => {
+  it('continue a run paused partway through', () => {
+    let game = startGame(createGame(), { seed: 'SAVE' });
+    for (let tick = 0; tick < 300; tick++) game = step(game, { direction: { dx: 1, dy: 0 } }, TICK_MS);
+    game = togglePause(game);
+    saveRun(game, null);
+
+    expect(loadSavedRun().game).toEqual({ ...game, events: [] });
+  });
+
+  it('continue a custom level run', () => {
+    const game = customRun();
+    saveRun(game, null);
+
+    const loaded = loadSavedRun();
+    expect(loaded.game.customLevel).toEqual(game.customLevel);
+    expect(loaded.game.socks).toEqual(game.socks);
+  });
+
+  it('throw away a custom level that no longer parses', () => {
+    saveEdited(customRun(), (saved) => {
+      saved.customLevel = { name: 'x' };
+    });
+
+    expect(loadSavedRun()).toBeNull();
+    expect(localStorage.getItem(SAVED_RUN_KEY)).toBeNull();
+  });
+
+  it('throw away a custom level that doesn\'t fit the saved maze', () => {
+    saveEdited(customRun(), (saved) => {
+      saved.customLevel = createBlankLevel(25, 17);
+    });
+
+    expect(loadSavedRun()).toBeNull();
+  });
+
+  it.each([
+    ['frightenedTimer missing', (game) => delete game.frightenedTimer],
+    ['frightenedTimer corrupt', (game) => { game.frightenedTimer = 'soon'; }],
+    ['modePhase missing', (game) => delete game.modePhase],
+    ['modePhase corrupt', (game) => { game.modePhase = -1; }],
+    ['catcherMode missing', (game) => delete game.catcherMode],
+    ['catcherMode corrupt', (game) => { game.catcherMode = 'frightened'; }],
+    ['nextCatcherId missing', (game) => delete game.nextCatcherId],
+    ['nextCatcherId corrupt', (game) => { game.nextCatcherId = null; }],
+    ['a catcher id missing', (game) => delete game.catchers[0].id],
+    ['a timer missing', (game) => delete game.timers.catcherMove],
+    ['a timer corrupt', (game) => { game.timers.socksMove = null; }],
+    ['config.maxLevel missing', (game) => delete game.config.maxLevel],
+    ['config.maxLevel corrupt', (game) => { game.config.maxLevel = 0; }],
+    ['config.inputBuffering missing', (game) => delete game.config.inputBuffering],
+    ['config.inputBuffering corrupt', (game) => { game.config.inputBuffering = 'yes'; }],
+  ])('throw away a run with %s', (_, edit) => {
+    saveEdited(startGame(createGame(), { seed: 'SAVE' }), (saved) => edit(saved.game));
+
+    expect(loadSavedRun()).toBeNull();
+  });
+
+  it('throw away broken catcher respawns', () => {
+    const game = startGame(createGame(), { seed: 'SAVE' });
+    saveEdited(game, (saved) => {
+      saved.game.pendingRespawns = [{ delay: 100, role: 'chaser' }];
+    });
+
+    expect(loadSavedRun()).toBeNull();
+  });
+});
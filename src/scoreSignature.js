@@ -0,0 +1,36 @@
+// Signatures on leaderboard submissions - an HMAC-SHA256 of the score record
+// under a secret the game and the leaderboard server share. The game's copy
+// of the secret ships in its JavaScript, so this stops hand-made requests
+// and scores edited on the way, not someone willing to dig the secret out.
+//
+// Uses Web Crypto, which browsers and Node both have, so the server checks
+// signatures with this same module.
+
+// Only for running the game and server locally - set VITE_LEADERBOARD_SECRET
+// and LEADERBOARD_SECRET to something else anywhere else
+export const DEV_LEADERBOARD_SECRET = 'socks-bone-hunt-dev';
+
+const SIGNED_FIELDS = [
+  'name', 'score', 'date', 'mode', 'outcome', 'level', 'lives', 'specials', 'catchersEaten', 'time', 'seed', 'replay',
+];
+
+// The signed text: the fields in a fixed order, so the order they were sent
+// in doesn't matter, and anything else on the record is left out
+const canonicalScore = (record) => new TextEncoder().encode(
+  JSON.stringify(SIGNED_FIELDS.map(field => record[field] ?? null)),
+);
+
+const importKey = (secret) => crypto.subtle.importKey(
+  'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify'],
+);
+
+export const signScore = async (record, secret) => {
+  const signature = await crypto.subtle.sign('HMAC', await importKey(secret), canonicalScore(record));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const verifyScore = async (record, signature, secret) => {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+  const bytes = Uint8Array.from(signature.match(/../g), hex => parseInt(hex, 16));
+  return crypto.subtle.verify('HMAC', await importKey(secret), bytes, canonicalScore(record));
+};
@@ -0,0 +1,51 @@
+// JSON in localStorage that never throws - storage can be full, disabled
+// or hold something we didn't write, and none of that should stop a game.
+
+export const readJson = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Returns whether the value was saved
+export const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`Could not save ${key}:`, e);
+    return false;
+  }
+};
+
+// Write a value that can be made smaller when storage is full: each time
+// the write fails, shrink() is asked for a smaller version (or null if it
+// can't get any smaller) and that is tried instead. Returns { value, saved,
+// shrunk } - what ended up stored and how many times it had to shrink.
+export const writeJsonShrinking = (key, value, shrink) => {
+  let shrunk = 0;
+  for (let current = value; ; shrunk += 1) {
+    try {
+      localStorage.setItem(key, JSON.stringify(current));
+      return { value: current, saved: true, shrunk };
+    } catch (e) {
+      const smaller = shrink(current);
+      if (!smaller) {
+        console.warn(`Could not save ${key}:`, e);
+        return { value, saved: false, shrunk: 0 };
+      }
+      current = smaller;
+    }
+  }
+};
+
+export const removeJson = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // Nothing we can do - a stale value just gets overwritten next time
+  }
+};
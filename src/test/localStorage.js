@@ -0,0 +1,20 @@
+import { vi } from 'vitest';
+
+// An in-memory localStorage for tests, put in place of the real one. Set
+// quota on what this returns to have it throw once more than that many
+// characters would be stored in all, the way a full browser storage does.
+export const stubLocalStorage = () => {
+  const store = new Map();
+  const storage = {
+    quota: Infinity,
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => {
+      const others = [...store].reduce((size, [k, v]) => size + (k === key ? 0 : v.length), 0);
+      if (others + String(value).length > storage.quota) throw new Error('QuotaExceededError');
+      store.set(key, String(value));
+    },
+    removeItem: (key) => store.delete(key),
+  };
+  vi.stubGlobal('localStorage', storage);
+  return storage;
+};
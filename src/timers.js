@@ -0,0 +1,55 @@
+// Timeouts that stop when the game does.
+//
+// The engine's own timers (catcher moves and respawns, the frightened
+// spell, special item despawns, ...) live in the game state and only run
+// while step() is called, so they stand still whenever the game isn't
+// playing. This service does the same for the timeouts the UI starts
+// around the game - spawn animations and firework bursts - which would
+// otherwise run out in the background: pause() holds every pending
+// timeout with the time it had left, resume() starts them again.
+
+export const createTimerService = (now = () => performance.now()) => {
+  const timers = new Map(); // id -> { callback, remaining, startedAt, handle }
+  let nextId = 1;
+  let paused = false;
+
+  const start = (id, timer) => {
+    timer.startedAt = now();
+    timer.handle = setTimeout(() => {
+      timers.delete(id);
+      timer.callback();
+    }, timer.remaining);
+  };
+
+  return {
+    setTimeout: (callback, ms) => {
+      const id = nextId++;
+      const timer = { callback, remaining: ms, startedAt: 0, handle: null };
+      timers.set(id, timer);
+      if (!paused) start(id, timer);
+      return id;
+    },
+    clearTimeout: (id) => {
+      clearTimeout(timers.get(id)?.handle);
+      timers.delete(id);
+    },
+    pause: () => {
+      if (paused) return;
+      paused = true;
+      for (const timer of timers.values()) {
+        clearTimeout(timer.handle);
+        timer.remaining = Math.max(0, timer.remaining - (now() - timer.startedAt));
+      }
+    },
+    resume: () => {
+      if (!paused) return;
+      paused = false;
+      timers.forEach((timer, id) => start(id, timer));
+    },
+    clearAll: () => {
+      timers.forEach(timer => clearTimeout(timer.handle));
+      timers.clear();
+    },
+    isPaused: () => paused,
+  };
+};